@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+// cli.js — headless batch runs of the lift model (sim/batch.js), no browser needed.
+//
+//   node cli.js --building tower.json --traffic office.json --hours 8 --start 07:00 --seed 1-5 \
+//     --speed 1.6,2.5 --accel 0.8,1.2 --door-close 6000,10000 --dispatch look,eta --out results.csv
+//
+//   --building file   config overrides (floors, cars, ...; see DEFAULT_CFG in sim/core.js)
+//   --traffic file    traffic profile: a cfg.traffic object, or just its periods array
+//   --hours n         simulated hours per run (default 1), from --start ("HH:MM", default 08:00)
+//   --seed list       seeds, "1,2,7" or "1-10" (default 1); every combination runs once per seed
+//   --speed, --accel, --door-close, --dispatch list
+//                     sweep maxSpeedMps, physics.accelLimit, doorAutoCloseMs (positive numbers), dispatch
+//                     (strategy ids: nearest, fcfs, look, eta, ...)
+//   --sweep path=list any other config path, e.g. --sweep loadWeighing.fullLoadPct=70,80 (repeatable)
+//   --dt s            step length (default 0.1 s)
+//   --out file        results as .csv or .json (default: CSV on stdout)
+// One row per run: the swept values, seed, mean / P90 hall call wait, trips, energy (kWh), ...
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { runBatch, rowsToCSV } from './sim/batch.js';
+import { DEFAULT_CFG } from './sim/core.js';
+import { parseClock } from './sim/scenario.js';
+import { listStrategies } from './sim/dispatch.js';
+
+const SHORTCUTS = { speed: 'maxSpeedMps', accel: 'physics.accelLimit', 'door-close': 'doorAutoCloseMs', dispatch: 'dispatch' };
+
+const { values: opts } = args({
+  options: {
+    building: { type: 'string' },
+    traffic: { type: 'string' },
+    hours: { type: 'string', default: '1' },
+    start: { type: 'string', default: '08:00' },
+    seed: { type: 'string', default: '1' },
+    speed: { type: 'string' },
+    accel: { type: 'string' },
+    'door-close': { type: 'string' },
+    dispatch: { type: 'string' },
+    sweep: { type: 'string', multiple: true, default: [] },
+    dt: { type: 'string', default: '0.1' },
+    out: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+function args(spec) {
+  try {
+    return parseArgs(spec);
+  } catch (e) {
+    return fail(`${e.message} (see --help)`);
+  }
+}
+
+if (opts.help) {
+  // the comment block at the top of this file
+  const lines = readFileSync(new URL(import.meta.url), 'utf8').split('\n').slice(1);
+  console.log(lines.slice(0, lines.findIndex(l => !l.startsWith('//'))).map(l => l.slice(3)).join('\n'));
+  process.exit(0);
+}
+
+const value = v => (v.trim() !== '' && !Number.isNaN(Number(v)) ? Number(v) : v.trim());
+const list = s => s.split(',').filter(Boolean).map(value);
+
+function seeds(s) {
+  return s.split(',').flatMap(part => {
+    const m = /^(\d+)-(\d+)$/.exec(part.trim());
+    if (!m) return [Number(part)];
+    return Array.from({ length: Math.max(0, +m[2] - +m[1] + 1) }, (_, i) => +m[1] + i);
+  });
+}
+
+function fail(msg) {
+  console.error(`cli: ${msg}`);
+  process.exit(1);
+}
+
+function readJSON(file, flag) {
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    return fail(`cannot read ${flag} "${file}": ${e.message}`);
+  }
+}
+
+const base = opts.building ? readJSON(opts.building, '--building') : {};
+if (!base || typeof base !== 'object' || Array.isArray(base)) fail(`--building "${opts.building}" must hold a JSON object`);
+if (opts.traffic) {
+  const t = readJSON(opts.traffic, '--traffic');
+  if (!t || typeof t !== 'object') fail(`--traffic "${opts.traffic}" must hold a JSON object or periods array`);
+  base.traffic = { ...(base.traffic || {}), ...(Array.isArray(t) ? { periods: t } : t) };
+}
+
+// sweep values are checked before any run: a bad one would only show up as a mislabelled row
+const POSITIVE = ['maxSpeedMps', 'physics.accelLimit', 'doorAutoCloseMs'];
+const defaultAt = path => path.split('.').reduce((node, k) => (node && typeof node === 'object' ? node[k] : undefined), DEFAULT_CFG);
+
+function checkSweep(path, values, given) {
+  if (!values.length) fail(`${given}: no values`);
+  if (path === 'dispatch') {
+    const ids = listStrategies().map(s => s.id);
+    const bad = values.filter(v => !ids.includes(v));
+    if (bad.length) fail(`${given}: unknown dispatch "${bad.join(',')}" (one of: ${ids.join(', ')})`);
+  } else if (POSITIVE.includes(path)) {
+    if (values.some(v => typeof v !== 'number' || !(v > 0))) fail(`${given}: expects positive numbers`);
+  } else if (typeof defaultAt(path) === 'number' && values.some(v => typeof v !== 'number')) {
+    fail(`${given}: ${path} expects numbers`);
+  }
+}
+
+const sweep = {};
+for (const [flag, path] of Object.entries(SHORTCUTS)) {
+  if (opts[flag] === undefined) continue;
+  sweep[path] = list(opts[flag]);
+  checkSweep(path, sweep[path], `--${flag} "${opts[flag]}"`);
+}
+for (const s of opts.sweep) {
+  const eq = s.indexOf('=');
+  if (eq < 1) fail(`--sweep expects path=v1,v2 (got "${s}")`);
+  const path = s.slice(0, eq);
+  sweep[path] = list(s.slice(eq + 1));
+  checkSweep(path, sweep[path], `--sweep "${s}"`);
+}
+
+const hours = Number(opts.hours), dtS = Number(opts.dt), seedList = seeds(opts.seed);
+if (!(hours > 0)) fail('--hours must be a positive number');
+if (!(dtS > 0 && dtS <= 1)) fail('--dt must be in (0, 1] seconds');
+if (!seedList.length || seedList.some(s => !Number.isInteger(s))) fail(`bad --seed "${opts.seed}"`);
+try { parseClock(opts.start); } catch { fail(`bad --start "${opts.start}" (HH:MM or an ISO date)`); }
+
+const t0 = Date.now();
+const rows = runBatch(base, {
+  sweep, seeds: seedList, hours, start: opts.start, dtS,
+  onRun: (row, i, total) => console.error(`[${i + 1}/${total}] ${JSON.stringify(row)}`)
+});
+console.error(`${rows.length} run(s), ${rows.length * hours} simulated h in ${((Date.now() - t0) / 1000).toFixed(1)} s`);
+
+const text = opts.out && opts.out.endsWith('.json') ? JSON.stringify(rows, null, 2) : rowsToCSV(rows);
+if (opts.out) writeFileSync(opts.out, `${text}\n`);
+else console.log(text);
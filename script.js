@@ -1,18 +1,25 @@
 // script.js
-// The Only Lift — fixed: NO auto-enter/exit, robust auto-close, safe storage fallback,
+// The Only Lift — browser adapter: DOM, audio, rendering and persistence on top of the
+// headless model in sim/core.js. NO auto-enter/exit, robust auto-close, safe storage fallback,
 // block movement while doors are open, improved mobile/desktop handlers
 // Usage: <script type="module" src="script.js" defer></script>
 
+import { World, SimClock, resolveConfig, wallClock, whoLabel } from './sim/core.js';
+import { Recorder, Replayer } from './sim/recorder.js';
+import { listStrategies, registerStrategy } from './sim/dispatch.js';
+import { toCSV } from './sim/metrics.js';
+import { SAVE_VERSION, createSave, readSave, buildingOf, compareBuilding } from './sim/save.js';
+import { SimRunner, SPEEDS } from './sim/runner.js';
+import { ScenarioRun, scenarioVerdict } from './sim/scenario.js';
+import { t, getLocale, setLocale, LOCALES, LOCALE_TAGS } from './sim/i18n.js';
+
 const LiftSim = (function () {
   'use strict';
 
   /* -------------------------
      Utilities
   ------------------------- */
-  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-  const nowMs = () => Date.now();
-  const secToMs = s => s * 1000;
-  const rand = (a, b) => a + Math.random() * (b - a);
+  const nowMs = () => wallClock.now();
 
   // storage: graceful fallback if localStorage/sessionStorage are inaccessible
   let __memoryStore = {};
@@ -54,6 +61,15 @@ const LiftSim = (function () {
     }
   };
 
+  // save text as a file through a temporary link
+  const downloadFile = (name, text, type = 'application/json') => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url; a.download = name;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
   const dispatch = (name, detail = {}) => window.dispatchEvent(new CustomEvent(name, { detail }));
 
   /* -------------------------
@@ -61,36 +77,17 @@ const LiftSim = (function () {
   ------------------------- */
   const ROOT = document.getElementById('app') || document.body;
 
-  const DEFAULT_CFG = {
-    floors: 18,
-    initialFloor: 0,
-    passengerWeightKg: 75,
-    maxSpeedMps: 2.5,
-    floorHeightMeters: 3.0,
-    physics: { accelLimit: 1.5, brakeLimit: 2.0 },
-    persistenceKey: 'only-lift-world-v1',
-    npcTrafficFactor: 0.02,
-    randomEventRatePerSec: 0.00045,
-    doorActionCooldownMs: 900,
-    // default auto-close = 10000 ms (10 seconds)
-    doorAutoCloseMs: 10000
-  };
-
   const cfgNode = document.getElementById('app-config');
-  let CFG = Object.assign({}, DEFAULT_CFG);
+  let CFG = resolveConfig();
   if (cfgNode) {
-    try {
-      const parsed = JSON.parse(cfgNode.textContent);
-      CFG = Object.assign(CFG, parsed);
-      CFG.physics = Object.assign(DEFAULT_CFG.physics, parsed.physics || {});
-      if (parsed.doorAutoCloseMs !== undefined) CFG.doorAutoCloseMs = parsed.doorAutoCloseMs;
-    } catch (e) { console.warn('Invalid app-config JSON, using defaults.', e); }
+    try { CFG = resolveConfig(JSON.parse(cfgNode.textContent)); } catch (e) { console.warn('Invalid app-config JSON, using defaults.', e); }
   }
   if (ROOT) {
     if (ROOT.dataset.floors) CFG.floors = parseInt(ROOT.dataset.floors, 10);
     if (ROOT.dataset.initialFloor) CFG.initialFloor = parseInt(ROOT.dataset.initialFloor, 10);
     if (ROOT.dataset.passengerWeightKg) CFG.passengerWeightKg = parseFloat(ROOT.dataset.passengerWeightKg);
     if (ROOT.dataset.maxSpeedMps) CFG.maxSpeedMps = parseFloat(ROOT.dataset.maxSpeedMps);
+    if (ROOT.dataset.floorOrder) CFG.floorOrder = ROOT.dataset.floorOrder;
     if (ROOT.dataset.floorHeightMeters) CFG.floorHeightMeters = parseFloat(ROOT.dataset.floorHeightMeters);
     if (ROOT.dataset.persistenceKey) CFG.persistenceKey = ROOT.dataset.persistenceKey;
     if (ROOT.dataset.doorAutoCloseMs) {
@@ -99,6 +96,10 @@ const LiftSim = (function () {
     }
   }
 
+  // language of the whole UI (sim/i18n.js), kept across sessions; set before anything is logged
+  const LOCALE_KEY = 'only-lift-locale';
+  setLocale(loadJSON(LOCALE_KEY) || getLocale());
+
   /* -------------------------
      DOM refs (graceful fallback)
   ------------------------- */
@@ -118,10 +119,45 @@ const LiftSim = (function () {
     readoutLoad: document.getElementById('readoutLoad'),
     readoutSpeed: document.getElementById('readoutSpeed'),
     readoutDoor: document.getElementById('readoutDoor'),
+    readoutPeriod: document.getElementById('readoutPeriod'),
     btnDoorOpen: document.getElementById('btnDoorOpen'),
     btnDoorClose: document.getElementById('btnDoorClose'),
     btnAlarm: document.getElementById('btnAlarm'),
+    btnTapCard: document.getElementById('btnTapCard'),
     audioToggle: document.getElementById('audioToggle'),
+    localeSelect: document.getElementById('localeSelect'),
+    dispatchSelect: document.getElementById('dispatchSelect'),
+    btnPause: document.getElementById('btnPause'),
+    btnStep: document.getElementById('btnStep'),
+    speedSelect: document.getElementById('speedSelect'),
+    ffMinutes: document.getElementById('ffMinutes'),
+    btnFastForward: document.getElementById('btnFastForward'),
+    simTime: document.getElementById('simTime'),
+    metricsPanel: document.getElementById('metricsPanel'),
+    metricsList: document.getElementById('metricsList'),
+    btnMetricsJson: document.getElementById('btnMetricsJson'),
+    btnMetricsCsv: document.getElementById('btnMetricsCsv'),
+    btnExportWorld: document.getElementById('btnExportWorld'),
+    btnImportWorld: document.getElementById('btnImportWorld'),
+    importFile: document.getElementById('importFile'),
+    servicePanel: document.getElementById('servicePanel'),
+    serviceList: document.getElementById('serviceList'),
+    serviceHistory: document.getElementById('serviceHistory'),
+    firePanel: document.getElementById('firePanel'),
+    smokeFloor: document.getElementById('smokeFloor'),
+    btnSmoke: document.getElementById('btnSmoke'),
+    btnFireReset: document.getElementById('btnFireReset'),
+    fireKey: document.getElementById('fireKey'),
+    outageSecs: document.getElementById('outageSecs'),
+    btnPowerCut: document.getElementById('btnPowerCut'),
+    btnPowerRestore: document.getElementById('btnPowerRestore'),
+    safetyFault: document.getElementById('safetyFault'),
+    intercomPanel: document.getElementById('intercomPanel'),
+    intercomStatus: document.getElementById('intercomStatus'),
+    intercomLog: document.getElementById('intercomLog'),
+    btnFaultOn: document.getElementById('btnFaultOn'),
+    btnFaultOff: document.getElementById('btnFaultOff'),
+    btnSafetyReset: document.getElementById('btnSafetyReset'),
     modal: document.getElementById('modal'),
     modalMessage: document.getElementById('modalMessage'),
     modalClose: document.getElementById('modalClose'),
@@ -131,7 +167,7 @@ const LiftSim = (function () {
   // ensure actionPanel exists & accessible (keeps it clickable on mobile & desktop)
   if (DOM.actionPanel) {
     DOM.actionPanel.setAttribute('role', DOM.actionPanel.getAttribute('role') || 'region');
-    DOM.actionPanel.setAttribute('aria-label', DOM.actionPanel.getAttribute('aria-label') || 'Tindakan cepat (Masuk/Keluar)');
+    DOM.actionPanel.setAttribute('aria-label', DOM.actionPanel.getAttribute('aria-label') || t('ui.actionPanel'));
     DOM.actionPanel.setAttribute('aria-live', DOM.actionPanel.getAttribute('aria-live') || 'polite');
     DOM.actionPanel.style.pointerEvents = DOM.actionPanel.style.pointerEvents || 'auto';
     // ensure high z-index so it is clickable above possible canvas overlays
@@ -141,7 +177,7 @@ const LiftSim = (function () {
     ap.id = 'actionPanel';
     ap.className = 'action-panel';
     ap.setAttribute('role', 'region');
-    ap.setAttribute('aria-label', 'Tindakan cepat (Masuk/Keluar)');
+    ap.setAttribute('aria-label', t('ui.actionPanel'));
     ap.setAttribute('aria-live', 'polite');
     ap.style.position = ap.style.position || 'relative';
     ap.style.zIndex = ap.style.zIndex || '9999';
@@ -258,8 +294,11 @@ const LiftSim = (function () {
       if (tts && window.speechSynthesis && 'SpeechSynthesisUtterance' in window) {
         try {
           const u = new SpeechSynthesisUtterance(String(text));
+          // a voice speaking the UI language ("id-ID", "id_ID", "en-GB", ...)
+          u.lang = LOCALE_TAGS[getLocale()];
           const voices = window.speechSynthesis.getVoices();
-          if (voices && voices.length) u.voice = voices.find(v => /id|en/i.test(v.lang)) || voices[0];
+          const voice = voices && voices.find(v => v.lang.toLowerCase().startsWith(getLocale()));
+          if (voice) u.voice = voice;
           unlock(); window.speechSynthesis.speak(u);
         } catch(e){ beep({freq:720,time:0.12}); }
       } else beep({freq:720,time:0.12});
@@ -271,21 +310,23 @@ const LiftSim = (function () {
   /* -------------------------
      Logging helper
   ------------------------- */
-  function appendLogUI(msg) {
+  function appendLogUI(msg, ts = world ? world.clock.now() : Date.now()) {
     const container = DOM.passengerLog;
     if (!container) { console.log(msg); return; }
     const tpl = DOM.tplLogLine;
+    // stamped on the sim clock, as world.log does
+    const stamp = new Date(ts).toLocaleTimeString();
     let node;
     if (tpl && tpl.content && tpl.content.firstElementChild) {
       node = tpl.content.firstElementChild.cloneNode(true);
-      const t = node.querySelector('.log-time');
+      const time = node.querySelector('.log-time');
       const txt = node.querySelector('.log-text');
-      if (t) t.textContent = (new Date()).toLocaleTimeString();
+      if (time) time.textContent = stamp;
       if (txt) txt.textContent = msg;
     } else {
       node = document.createElement('div');
       node.className = 'log-line';
-      node.textContent = `[${(new Date()).toLocaleTimeString()}] ${msg}`;
+      node.textContent = `[${stamp}] ${msg}`;
     }
     container.prepend(node);
     while (container.children.length > 400) container.removeChild(container.lastChild);
@@ -294,466 +335,86 @@ const LiftSim = (function () {
   }
 
   /* -------------------------
-     Elevator Model (manual enter/exit only, unconditional auto-close)
+     Model -> UI bridge
+     sim/core.js only emits events through its sink; sound and the log panel react here
   ------------------------- */
-  const EState = { IDLE:'IDLE', MOVING:'MOVING', ARRIVED:'ARRIVED', DOOR_OPEN:'DOOR_OPEN', DOOR_CLOSED:'DOOR_CLOSED', EMERGENCY:'EMERGENCY' };
-
-  class Elevator {
-    constructor(floors, initialFloor) {
-      this.floors = floors;
-      this.floorHeight = CFG.floorHeightMeters;
-      this.position = this.floorToMeters(initialFloor);
-      this.velocity = 0;
-      this.acceleration = 0;
-      this.targetFloor = null;
-      this.queue = [];
-      this.state = EState.IDLE;
-      this.doorsOpen = false;
-      this.doorProgress = 0;
-      this.doorSpeed = 0.9;
-      this.loadKg = 0;
-      this.playerInside = false;
-      this.lastDoorActionMs = 0;
-      this.doorCooldownMs = CFG.doorActionCooldownMs || 900;
-      this.overloadLimitKg = 1800;
-      this.arrivalFloor = null;
-      this.components = { door: 100, motor: 100 };
-      // ensure elevator uses configured auto-close
-      this.autoCloseMs = CFG.doorAutoCloseMs || 10000;
-      this.arrivalTs = 0;
-      this._autoCloseTimer = null;
-      this._lastManualActionKey = null;
-      this._lastManualActionTs = 0;
-    }
-
-    floorToMeters(f) { return clamp(Math.floor(f), 0, this.floors - 1) * this.floorHeight; }
-    metersToFloor(m) { return Math.round(m / this.floorHeight); }
-
-    requestFloor(f) {
-      const ff = clamp(Math.floor(f), 0, this.floors - 1);
-      if (this.targetFloor === null && this.queue.length === 0) {
-        this.targetFloor = ff;
-      } else if (!this.queue.includes(ff) && this.targetFloor !== ff) {
-        this.queue.push(ff);
-      }
-      dispatch('lift:call', { floor: ff, who: 'Passenger' });
-    }
-
-    requestExternal(f, who = 'NPC') {
-      const ff = clamp(Math.floor(f), 0, this.floors - 1);
-      if (this.targetFloor === null && this.queue.length === 0) {
-        this.targetFloor = ff;
-      } else if (!this.queue.includes(ff) && this.targetFloor !== ff) {
-        this.queue.push(ff);
-      }
-      dispatch('lift:call', { floor: ff, who });
-    }
-
-    // open doors and schedule unconditional auto-close after autoCloseMs
-    openDoors() {
-      if (this.components.door < 5) return false;
-      // set boolean immediately — prevents movement race
-      this.doorsOpen = true;
-      this.state = EState.DOOR_OPEN;
-      this.arrivalTs = nowMs();
-      // sound + dispatch
-      AudioEngine.doorSwoosh(true);
-      dispatch('lift:door', { state: 'open' });
-
-      // clear any existing timer then schedule unconditional auto-close
-      if (this._autoCloseTimer) {
-        clearTimeout(this._autoCloseTimer);
-        this._autoCloseTimer = null;
-      }
-      const ms = Number(this.autoCloseMs) || 10000;
-      try {
-        this._autoCloseTimer = setTimeout(() => {
-          try {
-            if (this.doorsOpen) {
-              // attempt to close doors (will clear timer inside closeDoors)
-              this.closeDoors();
-              appendLogUI(`Pintu otomatis ditutup setelah ${Math.round(ms/1000)}s.`);
-            }
-          } catch (e) {}
-        }, ms);
-      } catch (e) { console.warn('Auto-close scheduling failed', e); }
-
-      return true;
-    }
-
-    // close doors and clear auto-close timer
-    closeDoors() {
-      if (this.components.door < 5) return false;
-      if (this._autoCloseTimer) { clearTimeout(this._autoCloseTimer); this._autoCloseTimer = null; }
-      // set boolean synchronously to avoid race
-      this.doorsOpen = false;
-      this.state = EState.DOOR_CLOSED;
-      AudioEngine.doorSwoosh(false);
-      dispatch('lift:door', { state: 'closed' });
-      return true;
-    }
-
-    enterPlayer(weight) {
-      if (!this.doorsOpen) return false;         // require doors open
-      if (this.playerInside) return false;
-      if (nowMs() - this.lastDoorActionMs < this.doorCooldownMs) return false;
-      if (this.loadKg + weight > this.overloadLimitKg) return false;
-      this.loadKg += weight;
-      this.playerInside = true;
-      this.lastDoorActionMs = nowMs();
-      return true;
-    }
-
-    exitPlayer(weight) {
-      if (!this.doorsOpen) return false;
-      if (!this.playerInside) return false;
-      if (nowMs() - this.lastDoorActionMs < this.doorCooldownMs) return false;
-      this.loadKg = Math.max(0, this.loadKg - weight);
-      this.playerInside = false;
-      this.lastDoorActionMs = nowMs();
-      return true;
-    }
-
-    tryEnterOnce(actionKey, weight) {
-      if (this._lastManualActionKey === actionKey && (nowMs() - this._lastManualActionTs) < 2500) return false;
-      const ok = this.enterPlayer(weight);
-      if (ok) { this._lastManualActionKey = actionKey; this._lastManualActionTs = nowMs(); }
-      return ok;
-    }
-
-    tryExitOnce(actionKey, weight) {
-      if (this._lastManualActionKey === actionKey && (nowMs() - this._lastManualActionTs) < 2500) return false;
-      const ok = this.exitPlayer(weight);
-      if (ok) { this._lastManualActionKey = actionKey; this._lastManualActionTs = nowMs(); }
-      return ok;
-    }
-
-    popNextTarget() {
-      if (this.targetFloor !== null) return;
-      if (this.queue.length === 0) return;
-      const cur = this.metersToFloor(this.position);
-      let bestIdx = 0, bestDist = Infinity;
-      for (let i = 0; i < this.queue.length; i++) {
-        const d = Math.abs(this.queue[i] - cur);
-        if (d < bestDist) { bestDist = d; bestIdx = i; }
-      }
-      this.targetFloor = this.queue.splice(bestIdx, 1)[0];
-    }
-
-    step(dt) {
-      // doors progression (still animate doorProgress for visuals)
-      const ds = (1 / this.doorSpeed) * (0.5 + (this.components.door / 100) * 0.8);
-      if (this.doorsOpen) this.doorProgress = clamp(this.doorProgress + ds * dt, 0, 1);
-      else this.doorProgress = clamp(this.doorProgress - ds * dt, 0, 1);
-
-      if (this.state === EState.EMERGENCY) return;
-
-      // IMPORTANT FIX:
-      // Block movement whenever doors are flagged as open.
-      // Using the boolean ensures consistency across devices.
-      if (this.doorsOpen) {
-        this.velocity = 0;
-        this.acceleration = 0;
-        this.state = EState.DOOR_OPEN;
-        return;
-      }
-
-      // movement logic unchanged (but now guaranteed to not run while doorsOpen)
-      if (this.targetFloor === null && this.queue.length) this.popNextTarget();
-      if (this.targetFloor === null) {
-        // idle damping
-        this.acceleration = -this.velocity * 1.8;
-        this.velocity += this.acceleration * dt;
-        this.position += this.velocity * dt;
-        if (Math.abs(this.velocity) < 0.01) { this.velocity = 0; this.acceleration = 0; this.state = EState.IDLE; }
-        return;
-      }
-
-      const targetPos = this.floorToMeters(this.targetFloor);
-      const dist = targetPos - this.position;
-      const dir = Math.sign(dist || 1);
-      const absDist = Math.abs(dist);
-
-      // braking distance
-      const brakingDist = (this.velocity * this.velocity) / (2 * CFG.physics.brakeLimit + 1e-6);
-
-      if (absDist <= brakingDist + 0.03) {
-        this.acceleration = -CFG.physics.brakeLimit * Math.sign(this.velocity || dir);
-      } else {
-        const desired = CFG.maxSpeedMps * dir;
-        const err = desired - this.velocity;
-        this.acceleration = clamp(err * 1.8, -CFG.physics.brakeLimit, CFG.physics.accelLimit);
-      }
-
-      // integrate
-      this.velocity += this.acceleration * dt;
-      this.velocity = clamp(this.velocity, -CFG.maxSpeedMps, CFG.maxSpeedMps);
-      this.position += this.velocity * dt;
-      this.state = EState.MOVING;
-
-      // arrival detection
-      if (absDist < 0.03 && Math.abs(this.velocity) < 0.06) {
-        // snap
-        this.position = targetPos;
-        this.velocity = 0; this.acceleration = 0;
-        this.arrivalFloor = this.targetFloor;
-        this.targetFloor = null;
-        this.state = EState.ARRIVED;
-        // open doors and schedule auto-close
-        this.openDoors();
-        AudioEngine.chime();
-        AudioEngine.announce(`Lantai ${this.arrivalFloor}`);
-        dispatch('lift:arrived', { floor: this.arrivalFloor });
-      }
-    }
-
-    serialize() {
-      return {
-        pos: this.position, vel: this.velocity, acc: this.acceleration, target: this.targetFloor, queue: this.queue.slice(),
-        doorsOpen: this.doorsOpen, doorProg: this.doorProgress, loadKg: this.loadKg, playerInside: this.playerInside,
-        components: this.components, state: this.state, arrivalFloor: this.arrivalFloor,
-        _lastManualActionKey: this._lastManualActionKey, _lastManualActionTs: this._lastManualActionTs,
-        autoCloseMs: this.autoCloseMs
-      };
-    }
-
-    static deserialize(obj, floors, initial) {
-      const e = new Elevator(floors, initial);
-      if (!obj) return e;
-      e.position = obj.pos ?? e.position;
-      e.velocity = obj.vel ?? 0;
-      e.acceleration = obj.acc ?? 0;
-      e.targetFloor = obj.target ?? null;
-      e.queue = obj.queue || [];
-      e.doorsOpen = !!obj.doorsOpen;
-      e.doorProgress = obj.doorProg ?? 0;
-      e.loadKg = obj.loadKg ?? 0;
-      e.playerInside = !!obj.playerInside;
-      e.components = obj.components || e.components;
-      e.state = obj.state || e.state;
-      e.arrivalFloor = obj.arrivalFloor ?? null;
-      e._lastManualActionKey = obj._lastManualActionKey ?? null;
-      e._lastManualActionTs = obj._lastManualActionTs ?? 0;
-      e.autoCloseMs = obj.autoCloseMs ?? CFG.doorAutoCloseMs ?? e.autoCloseMs;
-      return e;
-    }
-  }
-
-  /* -------------------------
-     World (manual only)
-  ------------------------- */
-  class World {
-    constructor() {
-      this.elev = new Elevator(CFG.floors, CFG.initialFloor);
-      this.playerFloor = CFG.initialFloor;
-      this.playerRequestedFloor = null;
-      this.calls = [];
-      this.npcs = [];
-      this.scheduled = [];
-      this.logs = [];
-      this.eventWindow = { start: nowMs(), count: 0, cap: 6 };
-      this.lastPlayerCall = { floor: null, dir: null, ts: 0 };
-      this.initNPCs();
-    }
-
-    initNPCs() {
-      this.npcs = [];
-      const count = Math.max(0, Math.round(CFG.floors * CFG.npcTrafficFactor));
-      for (let i = 0; i < count; i++) this.npcs.push({ id: `NPC-${i + 1}`, nextActionMs: nowMs() + rand(20_000, 90_000), busyUntil: 0 });
-    }
-
-    log(msg) {
-      const t = new Date();
-      const line = `[${t.toLocaleTimeString()}] ${msg}`;
-      this.logs.unshift(line);
-      if (this.logs.length > 400) this.logs.length = 400;
-      appendLogUI(msg);
-    }
-
-    playerCall(floor, dir = 'up') {
-      const now = nowMs();
-      if (this.lastPlayerCall.floor === floor && this.lastPlayerCall.dir === dir && now - (this.lastPlayerCall.ts || 0) < 1800) {
-        this.log('Panggilan diabaikan (terlalu cepat).');
-        return false;
-      }
-      this.lastPlayerCall = { floor, dir, ts: now };
-      if (this.calls.some(c => c.floor === floor && c.dir === dir && (c.status === 'pending' || c.status === 'assigned'))) {
-        this.log(`Panggilan sudah terdaftar di lantai ${floor}`);
-        return false;
-      }
-      const id = `call-${Math.floor(now)}-${Math.round(Math.random() * 9999)}`;
-      const call = { id, floor, dir, who: 'Passenger', ts: now, status: 'pending' };
-      this.calls.push(call);
-      this.log(`Panggil ${dir} di lantai ${floor}`);
-      dispatch('lift:call', { floor, dir, who: 'Passenger' });
-      return true;
-    }
-
-    requestExternalCall(floor, dir = 'up', who = 'NPC') {
-      const now = nowMs();
-      if (this.calls.some(c => c.floor === floor && c.dir === dir && (c.status === 'pending' || c.status === 'assigned') && c.who === who)) return;
-      const id = `call-${Math.floor(now)}-${Math.round(Math.random() * 9999)}`;
-      const call = { id, floor, dir, who, ts: now, status: 'pending' };
-      this.calls.push(call);
-      this.log(`${who} called ${dir} at floor ${floor}`);
-      dispatch('lift:call', { floor, dir, who });
-    }
-
-    assignCalls() {
-      if (this.elev.targetFloor !== null) return;
-      const pending = this.calls.filter(c => c.status === 'pending');
-      if (!pending.length) return;
-      const cur = this.elev.metersToFloor(this.elev.position);
-      let bestIdx = 0, bestDist = Infinity;
-      for (let i = 0; i < pending.length; i++) {
-        const d = Math.abs(pending[i].floor - cur);
-        if (d < bestDist) { bestDist = d; bestIdx = i; }
-      }
-      const chosen = pending[bestIdx];
-      const idxAll = this.calls.findIndex(c => c.id === chosen.id);
-      if (idxAll >= 0) {
-        this.calls[idxAll].status = 'assigned';
-        this.calls[idxAll].assignedTs = nowMs();
-      }
-      this.elev.requestExternal(chosen.floor, chosen.who);
-      this.log(`Lift ditugaskan ke panggilan di lantai ${chosen.floor} (oleh ${chosen.who})`);
-    }
-
-    markCallServedAtFloor(floor) {
-      for (let i = 0; i < this.calls.length; i++) {
-        const c = this.calls[i];
-        if (c.floor === floor && (c.status === 'pending' || c.status === 'assigned')) {
-          c.status = 'served';
-          c.servedTs = nowMs();
-        }
-      }
-    }
-
-    stepNPCs(dt) {
-      const now = nowMs();
-      for (const npc of this.npcs) {
-        if (now >= npc.nextActionMs && !npc.busyUntil) {
-          if (Math.random() < 0.28) {
-            const f = Math.floor(Math.random() * this.elev.floors);
-            const dir = Math.random() < 0.5 ? 'up' : 'down';
-            this.requestExternalCall(f, dir, npc.id);
-            npc.busyUntil = now + rand(20_000, 90_000);
-            npc.nextActionMs = now + rand(40_000, 160_000);
-          } else {
-            npc.nextActionMs = now + rand(25_000, 120_000);
-          }
-        }
-        if (npc.busyUntil && now >= npc.busyUntil) npc.busyUntil = 0;
-      }
-    }
-
-    stepBoarding(dt) {
-      const e = this.elev;
-      if (!(e.doorsOpen && e.doorProgress > 0.98)) return;
-      if (nowMs() - e.lastDoorActionMs < e.doorCooldownMs) return;
-
-      const liftFloor = e.metersToFloor(e.position);
-      this.markCallServedAtFloor(liftFloor);
-
-      // NPC automatic boarding/exiting (sparse)
-      if (Math.random() < 0.06 * dt) {
-        const w = 50 + Math.random() * 90;
-        if (e.loadKg + w < e.overloadLimitKg) {
-          e.loadKg += w;
-          this.log(`NPC naik (~${Math.round(w)} kg)`);
-          e.requestFloor(Math.floor(Math.random() * e.floors));
-        } else this.log('NPC terblokir (overload)');
-        e.lastDoorActionMs = nowMs();
-      }
-      if (Math.random() < 0.04 * dt && e.loadKg > 0) {
-        const out = Math.min(e.loadKg, 20 + Math.random() * 80);
-        e.loadKg = Math.max(0, e.loadKg - out);
-        this.log(`NPC turun (~${Math.round(out)} kg)`);
-        e.lastDoorActionMs = nowMs();
-      }
-    }
-
-    shouldTriggerEvent(ratePerSec, dt) {
-      const now = nowMs();
-      if (now - this.eventWindow.start > 60_000) {
-        this.eventWindow.start = now;
-        this.eventWindow.count = 0;
-      }
-      if (this.eventWindow.count >= this.eventWindow.cap) return false;
-      if (Math.random() < ratePerSec * dt) { this.eventWindow.count++; return true; }
-      return false;
-    }
-
-    processScheduled() {
-      const now = nowMs();
-      for (let i = this.scheduled.length - 1; i >= 0; i--) {
-        if (now >= this.scheduled[i].ts) {
-          const ev = this.scheduled.splice(i, 1)[0];
-          this.handleEvent(ev.type, ev.payload);
-        }
-      }
-    }
-
-    handleEvent(type, payload) {
-      if (type === 'door_jam') {
-        this.log('Door jam occurred.');
-        this.elev.components.door = Math.max(0, this.elev.components.door - Math.round(rand(6, 18)));
-        if (Math.random() < 0.5) {
-          this.elev.doorsOpen = true; this.elev.doorProgress = 1; this.elev.state = EState.DOOR_OPEN; this.elev.holdDoor = true; this.log('Door jammed open.');
-        } else {
-          this.elev.doorsOpen = false; this.elev.doorProgress = 0; this.elev.state = EState.DOOR_CLOSED; this.elev.holdDoor = true; this.log('Door jammed closed.');
-        }
-        this.scheduled.push({ ts: nowMs() + secToMs(rand(12, 40)), type: 'auto_repair', payload: { comp: 'door' } });
-      } else if (type === 'auto_repair') {
-        const comp = payload?.comp || 'door';
-        const amt = Math.round(rand(12, 40));
-        if (this.elev.components[comp] !== undefined) {
-          this.elev.components[comp] = clamp(this.elev.components[comp] + amt, 0, 100);
-          this.log(`Auto repair: ${comp} +${amt}%`);
-          this.elev.holdDoor = false;
-        }
-      }
-    }
-
-    step(dt) {
-      this.stepNPCs(dt);
-      this.processScheduled();
-      if (this.shouldTriggerEvent(CFG.randomEventRatePerSec, dt) && Math.random() < 0.6) {
-        this.scheduled.push({ ts: nowMs() + secToMs(rand(2, 20)), type: 'door_jam' });
-      }
-      this.elev.step(dt);
-      this.stepBoarding(dt);
-      this.assignCalls();
-    }
-
-    serialize() {
-      return {
-        elev: this.elev.serialize(),
-        playerFloor: this.playerFloor,
-        playerRequestedFloor: this.playerRequestedFloor,
-        calls: this.calls.slice(),
-        scheduled: this.scheduled.slice(),
-        npcs: this.npcs.map(n => ({ id: n.id, nextActionMs: n.nextActionMs, busyUntil: n.busyUntil })),
-        logs: this.logs.slice(0, 200),
-        ts: nowMs()
-      };
-    }
-
-    static deserialize(obj) {
-      const w = new World();
-      if (!obj) return w;
-      try {
-        if (obj.elev) w.elev = Elevator.deserialize(obj.elev, CFG.floors, CFG.initialFloor);
-        w.playerFloor = obj.playerFloor ?? CFG.initialFloor;
-        w.playerRequestedFloor = obj.playerRequestedFloor ?? null;
-        w.calls = obj.calls || [];
-        w.scheduled = obj.scheduled || [];
-        if (Array.isArray(obj.npcs)) w.npcs = obj.npcs.map(n => ({ id: n.id, nextActionMs: n.nextActionMs || nowMs() + rand(10000, 60000), busyUntil: n.busyUntil || 0 }));
-        w.logs = obj.logs || [];
-      } catch (e) { console.warn('deserialize fail', e); }
-      return w;
-    }
-  }
+  // the model runs on its own SimClock (started at wall time) so a session can be replayed exactly;
+  // its events are not passed on while fast-forwarding (no sound, no flood of log lines)
+  let quiet = false;
+  const worldEnv = (startMs = nowMs()) => ({ cfg: CFG, clock: new SimClock(startMs), sink: (name, detail) => { if (!quiet) dispatch(name, detail); } });
+  const createWorld = () => new World(worldEnv());
+
+  window.addEventListener('lift:log', (e) => { if (e?.detail?.msg) appendLogUI(e.detail.msg, e.detail.ts); });
+  window.addEventListener('lift:door', (e) => {
+    const d = e?.detail || {};
+    if (d.state === 'opening' || d.state === 'closing' || d.state === 'nudging') AudioEngine.doorSwoosh(d.state === 'opening');
+    // nudging closes slowly with the buzzer sounding
+    if (d.state === 'nudging') { AudioEngine.beep({ freq: 440, time: 0.6 }); appendLogUI(t('ui.nudging')); }
+    if (d.state === 'obstructed' && d.who === 'Passenger') appendLogUI(t('ui.obstructed'));
+    if (d.auto) appendLogUI(t('ui.autoClosed', { s: Math.round(d.afterMs / 1000) }));
+  });
+  window.addEventListener('lift:fire', (e) => {
+    const d = e?.detail || {};
+    if (d.phase === 1 && d.car === undefined) {
+      AudioEngine.beep({ freq: 520, time: 0.8, vol: 0.3 });
+      AudioEngine.announce(t('ui.say.fire', { floor: world.floorLabel(d.floor) }));
+    } else if (d.phase === 2) AudioEngine.announce(t('ui.say.firePhase2'));
+    else if (d.phase === 0) AudioEngine.announce(t('ui.say.fireReset'));
+  });
+  window.addEventListener('lift:power', (e) => {
+    // the keypad follows the player's car call, which a power failure may have dropped
+    buildInternalKeypad(world);
+    if (e?.detail?.on) { AudioEngine.announce(t('ui.say.powerOn')); return; }
+    AudioEngine.beep({ freq: 300, time: 0.5, vol: 0.3 });
+    AudioEngine.announce(t('ui.say.powerOff'));
+  });
+  window.addEventListener('lift:safety', (e) => {
+    const d = e?.detail || {};
+    if (!d.tripped) return;
+    AudioEngine.beep({ freq: 880, time: 0.9, vol: 0.3 });
+    if (d.car === world.elev.id) AudioEngine.announce(t('ui.say.emergency'));
+  });
+  // the overload buzzer sounds for as long as the car stays overloaded
+  const overloadBuzzers = {};
+  window.addEventListener('lift:overload', (e) => {
+    const d = e?.detail || {};
+    clearInterval(overloadBuzzers[d.car]);
+    if (!d.on) return;
+    const buzz = () => {
+      if (!world.cars.some(c => c.id === d.car && c.overloaded)) { clearInterval(overloadBuzzers[d.car]); return; }
+      AudioEngine.beep({ freq: 620, time: 0.35, vol: 0.3 });
+    };
+    buzz();
+    overloadBuzzers[d.car] = setInterval(buzz, 1000);
+    if (d.car === world.elev.id) AudioEngine.announce(t('ui.say.overload'));
+  });
+  // intercom: a ring while the help desk is called, operator lines are spoken in the car concerned
+  window.addEventListener('lift:intercom', (e) => {
+    const d = e?.detail || {};
+    if (d.state === 'calling' && d.who === 'system') AudioEngine.beep({ freq: 480, time: 0.5, vol: 0.25 });
+    else if (d.role === 'operator' && d.car === (world.playerCar() || world.elev).id) AudioEngine.announce(d.text);
+    renderIntercomPanel(world);
+  });
+  // card reader: a refused press buzzes and is announced in the car concerned
+  window.addEventListener('lift:access', (e) => {
+    const d = e?.detail || {};
+    if (d.tap) { AudioEngine.beep({ freq: 1320, time: 0.08 }); renderKeypadAccess(world); return; }
+    if (d.granted || d.car !== (world.playerCar() || world.elev).id) return;
+    AudioEngine.beep({ freq: 260, time: 0.4, vol: 0.3 });
+    AudioEngine.announce(t('ui.say.accessDenied'));
+  });
+  window.addEventListener('lift:rescued', (e) => {
+    // doors jammed shut: nobody is out yet (announced once the technician opens them)
+    if (e?.detail?.car !== world.elev.id || e.detail.jammed) return;
+    AudioEngine.announce(t('ui.say.rescued', { floor: world.floorLabel(e.detail.floor) }));
+  });
+  window.addEventListener('lift:arrived', (e) => {
+    if (typeof e?.detail?.floor !== 'number') return;
+    // in a bank only the passenger-facing car chimes and announces
+    if (e.detail.car !== undefined && e.detail.car !== world.elev.id) return;
+    AudioEngine.chime();
+    AudioEngine.announce(t('ui.floor', { floor: world.floorLabel(e.detail.floor) }));
+  });
 
   /* -------------------------
      Renderer (unchanged)
@@ -777,42 +438,80 @@ const LiftSim = (function () {
       if (!this.ctx) return;
       const ctx = this.ctx; const W = this.canvas.width / this.dpr; const H = this.canvas.height / this.dpr;
       ctx.clearRect(0, 0, W, H);
-      const pad = 12;
-      const shaftW = Math.min(340, W * 0.30);
-      const shaftX = pad, shaftY = pad, shaftH = H - pad * 2;
+      const pad = 12, gap = 10;
+      const cars = this.world.cars, n = cars.length;
+      // one shaft per car, side by side; a single car keeps the original 30% column
+      const shaftW = n > 1 ? Math.min(340, (W * 0.75 - gap * (n - 1)) / n) : Math.min(340, W * 0.30);
+      const shaftY = pad, shaftH = H - pad * 2;
+      const geo = this.geometry(shaftY, shaftH);
+      cars.forEach((car, i) => this.drawShaft(car, pad + i * (shaftW + gap), shaftW, shaftY, shaftH, geo));
+      // power failure: the building goes dark, cabins run on emergency lighting (drawShaft)
+      if (!this.world.power.on) { ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.fillRect(0, 0, W, H); }
+      const labelX = pad + n * (shaftW + gap) - gap + 8;
+      ctx.font = '11px ui-monospace, monospace';
+      for (let f = 0; f < geo.fc; f++) {
+        const y = geo.yOf(geo.elev[f]) - 4;
+        ctx.fillStyle = 'rgba(255,255,255,0.06)'; ctx.fillText(this.world.floorLabel(f), labelX, y);
+        // people waiting in the hall queue
+        const waiting = this.world.hallQueues[f]?.length || 0;
+        if (waiting) { ctx.fillStyle = 'rgba(207,239,251,0.55)'; ctx.fillText(`${waiting}👤`, labelX + 22, y); }
+      }
+      const e = this.world.elev;
+      ctx.fillStyle = 'rgba(0,0,0,0.36)'; ctx.fillRect(pad + 12, 10, 300, 64);
+      ctx.fillStyle = '#cfeffb'; ctx.font = '12px ui-monospace, monospace';
+      ctx.fillText(`${n > 1 ? `[${e.id}] ` : ''}${t('ui.canvas.pos', { m: e.position.toFixed(2) })}`, pad + 24, 30);
+      ctx.fillText(t('ui.canvas.vel', { v: e.velocity.toFixed(2) }), pad + 24, 52);
+      ctx.fillStyle = 'rgba(255,255,255,0.7)';
+      ctx.fillText(t('ui.canvas.target', { floor: e.targetFloor === null ? '-' : this.world.floorLabel(e.targetFloor) }), pad + 200, 30);
+      ctx.fillText(t('ui.canvas.load', { kg: Math.round(e.loadKg), pct: e.loadPct, n: e.riders.length + (e.playerInside ? 1 : 0) }), pad + 200, 52);
+    }
+    // the shaft to scale from the landing heights (world.elevations): each floor's band runs from its
+    // sill to the next one, so tall lobbies and blind express zones show as they are
+    geometry(shaftY, shaftH) {
+      const elev = this.world.elevations, fc = elev.length;
+      const topStorey = fc > 1 ? elev[fc - 1] - elev[fc - 2] : this.world.cfg.floorHeightMeters;
+      const scale = (shaftH - 8) / (elev[fc - 1] + topStorey);
+      const yOf = m => shaftY + shaftH - m * scale;
+      return { fc, elev, scale, yOf, bandTop: f => yOf(f < fc - 1 ? elev[f + 1] : elev[fc - 1] + topStorey) };
+    }
+    drawShaft(car, shaftX, shaftW, shaftY, shaftH, geo) {
+      const ctx = this.ctx;
       ctx.fillStyle = '#071426'; ctx.fillRect(shaftX, shaftY, shaftW, shaftH);
-      const fc = this.world.elev.floors;
-      const floorH = Math.max(28, Math.floor((shaftH - 8) / fc));
-      const totalH = floorH * fc;
-      const top = shaftY + (shaftH - totalH);
       ctx.strokeStyle = 'rgba(255,255,255,0.06)'; ctx.lineWidth = 1;
-      ctx.font = '11px ui-monospace, monospace';
-      for (let i = 0; i < fc; i++) {
-        const y = top + i * floorH;
-        ctx.beginPath(); ctx.moveTo(shaftX, y); ctx.lineTo(shaftX + shaftW, y); ctx.stroke();
-        ctx.fillStyle = 'rgba(255,255,255,0.06)'; ctx.fillText(`${fc - 1 - i}`, shaftX + shaftW + 8, y + 12);
+      for (let f = 0; f < geo.fc; f++) {
+        const sill = geo.yOf(geo.elev[f]), top = geo.bandTop(f);
+        ctx.beginPath(); ctx.moveTo(shaftX, sill); ctx.lineTo(shaftX + shaftW, sill); ctx.stroke();
+        // floors this car skips are shaded
+        if (!car.serves(f)) { ctx.fillStyle = 'rgba(0,0,0,0.25)'; ctx.fillRect(shaftX, top, shaftW, sill - top); }
       }
+      // a cabin about 2.4 m tall standing on its sill
       const carW = Math.min(170, shaftW * 0.58);
-      const carH = floorH - 6;
+      const carH = Math.max(14, Math.min(2.4 * geo.scale, shaftH / 4));
       const carX = shaftX + (shaftW - carW) / 2;
-      const posRatio = this.world.elev.position / Math.max(1, this.world.elev.floorToMeters(this.world.elev.floors - 1));
-      const carY = top + (fc - 1) * floorH - posRatio * ((fc - 1) * floorH) - carH / 2;
+      const carY = geo.yOf(car.position) - carH;
       ctx.strokeStyle = 'rgba(255,255,255,0.06)'; ctx.lineWidth = 2;
-      ctx.beginPath(); ctx.moveTo(carX + 6, carY); ctx.lineTo(carX + 6, top - 8); ctx.moveTo(carX + carW - 6, carY); ctx.lineTo(carX + carW - 6, top - 8); ctx.stroke();
-      ctx.fillStyle = '#0f3a4a'; ctx.fillRect(carX, carY, carW, carH);
+      ctx.beginPath(); ctx.moveTo(carX + 6, carY); ctx.lineTo(carX + 6, shaftY); ctx.moveTo(carX + carW - 6, carY); ctx.lineTo(carX + carW - 6, shaftY); ctx.stroke();
+      ctx.fillStyle = car.rescue ? '#4a3a12' : car === this.world.elev ? '#0f3a4a' : '#0b2a36'; ctx.fillRect(carX, carY, carW, carH);
       ctx.fillStyle = 'rgba(255,255,255,0.03)'; ctx.fillRect(carX + 6, carY + 6, carW - 12, carH - 12);
-      const doorProg = this.world.elev.doorProgress; const panelW = carW / 2;
+      const doorProg = car.doorProgress; const panelW = carW / 2;
       const leftX = carX + (1 - doorProg) * (panelW * 0.9);
       const rightX = carX + carW - panelW - (1 - doorProg) * (panelW * 0.9);
       ctx.fillStyle = '#021b25'; ctx.fillRect(leftX, carY, panelW, carH); ctx.fillRect(rightX, carY, panelW, carH);
       ctx.strokeStyle = 'rgba(255,255,255,0.04)'; ctx.strokeRect(carX, carY, carW, carH);
-      ctx.fillStyle = 'rgba(0,0,0,0.36)'; ctx.fillRect(shaftX + 12, 10, 300, 64);
-      ctx.fillStyle = '#cfeffb'; ctx.font = '12px ui-monospace, monospace';
-      ctx.fillText(`Pos: ${this.world.elev.position.toFixed(2)} m`, shaftX + 24, 30);
-      ctx.fillText(`Vel: ${this.world.elev.velocity.toFixed(2)} m/s`, shaftX + 24, 52);
-      ctx.fillStyle = 'rgba(255,255,255,0.7)';
-      ctx.fillText(`Target: ${this.world.elev.targetFloor === null ? '-' : this.world.elev.targetFloor}`, shaftX + 200, 30);
-      ctx.fillText(`Load: ${Math.round(this.world.elev.loadKg)} kg`, shaftX + 200, 52);
+      if (this.world.cars.length > 1) {
+        ctx.fillStyle = 'rgba(207,239,251,0.8)'; ctx.font = '700 12px ui-monospace, monospace';
+        ctx.fillText(car.id, carX + carW / 2 - 4, carY + carH / 2 + 4);
+      }
+      if (car.overloaded) {
+        ctx.fillStyle = 'rgba(255,120,100,0.95)'; ctx.font = '700 11px ui-monospace, monospace';
+        ctx.textAlign = 'center'; ctx.fillText(t('ui.overload'), carX + carW / 2, carY + carH / 2 + 18); ctx.textAlign = 'start';
+      }
+      if (!car.inService) {
+        ctx.fillStyle = 'rgba(255,120,100,0.9)'; ctx.font = '700 10px ui-monospace, monospace';
+        const badge = car.serviceMode === 'fire1' ? t('ui.badge.fire1') : car.serviceMode === 'fire2' ? t('ui.badge.fire2') : car.rescue ? t('ui.badge.powerFail')
+          : car.trip ? t('ui.badge.emergency', { device: t(`ui.device.${car.trip.device}`) }) : t('ui.outOfService');
+        ctx.fillText(badge, carX + 4, carY - 4);
+      }
     }
   }
 
@@ -829,26 +528,29 @@ const LiftSim = (function () {
     const panel = DOM.externalCallPanel; if (!panel) return;
     const f = world.playerFloor;
     const hasPending = world.calls.some(c => c.floor === f && c.who === 'Passenger' && (c.status === 'pending' || c.status === 'assigned'));
+    const assignedCall = world.calls.find(c => c.floor === f && c.who === 'Passenger' && c.status === 'assigned');
     const elevTarget = world.elev.targetFloor;
-    const snapshot = `${f}|pending:${hasPending}|target:${elevTarget}|doors:${world.elev.doorsOpen}|playerInside:${world.elev.playerInside}`;
+    const snapshot = `${f}|pending:${hasPending}|car:${assignedCall?.car}|target:${elevTarget}|doors:${world.elev.doorsOpen}|playerInside:${world.elev.playerInside}`;
     if (snapshot === lastRenderedSnapshot) return;
     lastRenderedSnapshot = snapshot;
     panel.innerHTML = '';
     const row = document.createElement('div'); row.className = 'external-row single';
-    const label = document.createElement('div'); label.className = 'external-floor-label'; label.textContent = `Lantai ${f}`; row.appendChild(label);
+    const name = world.floorLabel(f);
+    const label = document.createElement('div'); label.className = 'external-floor-label'; label.textContent = t('ui.floor', { floor: name }); row.appendChild(label);
     const group = document.createElement('div'); group.className = 'external-group single';
-    const up = document.createElement('button'); up.className = 'call-up single'; up.type='button'; up.setAttribute('aria-label', `Panggil naik di lantai ${f}`); up.textContent='▲'; up.tabIndex=0;
-    const down = document.createElement('button'); down.className='call-down single'; down.type='button'; down.setAttribute('aria-label', `Panggil turun di lantai ${f}`); down.textContent='▼'; down.tabIndex=0;
+    const up = document.createElement('button'); up.className = 'call-up single'; up.type='button'; up.setAttribute('aria-label', t('ui.callUp', { floor: name })); up.textContent='▲'; up.tabIndex=0;
+    const down = document.createElement('button'); down.className='call-down single'; down.type='button'; down.setAttribute('aria-label', t('ui.callDown', { floor: name })); down.textContent='▼'; down.tabIndex=0;
     if (world.elev.playerInside) {
-      up.disabled = true; down.disabled = true; up.title='Anda berada di dalam lift'; down.title='Anda berada di dalam lift';
+      up.disabled = true; down.disabled = true; up.title = down.title = t('ui.insideCar');
     } else {
       if (f >= CFG.floors - 1) up.disabled = true;
       if (f <= 0) down.disabled = true;
+      if (!world.servedByAny(f)) { up.disabled = true; down.disabled = true; }
       if (hasPending) {
         up.disabled = true; down.disabled = true;
         const badge = document.createElement('div'); badge.className='external-badge';
-        const assigned = world.calls.some(c => c.floor===f && c.who==='Passenger' && c.status==='assigned');
-        badge.textContent = assigned ? 'Panggilan: ditugaskan' : 'Panggilan: menunggu';
+        // with a bank, show which car the group controller sent
+        badge.textContent = assignedCall ? t('ui.callAssigned', { car: world.cars.length > 1 ? assignedCall.car : null }) : t('ui.callWaiting');
         row.appendChild(badge);
       } else {
         // use attachButtonHandler for robustness
@@ -856,13 +558,13 @@ const LiftSim = (function () {
           if (up.disabled) return;
           up.disabled = true; setTimeout(()=>{ up.disabled=false; }, 900);
           AudioEngine.ensure(); AudioEngine.unlock(); AudioEngine.beep();
-          const ok = world.playerCall(f, 'up'); if (!ok) appendLogUI('Panggilan tidak dibuat (duplicate/debounce).');
+          const ok = world.input('call', { floor: f, dir: 'up' }); if (!ok) appendLogUI(t('ui.callRejected'));
         });
         attachButtonHandler(down, () => {
           if (down.disabled) return;
           down.disabled = true; setTimeout(()=>{ down.disabled=false; }, 900);
           AudioEngine.ensure(); AudioEngine.unlock(); AudioEngine.beep();
-          const ok = world.playerCall(f, 'down'); if (!ok) appendLogUI('Panggilan tidak dibuat (duplicate/debounce).');
+          const ok = world.input('call', { floor: f, dir: 'down' }); if (!ok) appendLogUI(t('ui.callRejected'));
         });
       }
     }
@@ -873,31 +575,60 @@ const LiftSim = (function () {
     const container = DOM.floorPanel; if (!container) return;
     container.innerHTML = '';
     const tpl = DOM.tplFloorButton;
-    for (let f = CFG.floors - 1; f >= 0; f--) {
+    // cfg.floorOrder: top floor first (descending, the default) or bottom floor first
+    const floors = Array.from({ length: CFG.floors }, (_, f) => f);
+    if (CFG.floorOrder !== 'ascending') floors.reverse();
+    for (const f of floors) {
+      const name = world.floorLabel(f);
       let btn;
       if (tpl && tpl.content && tpl.content.firstElementChild) btn = tpl.content.firstElementChild.cloneNode(true);
-      else { btn = document.createElement('button'); btn.className='floor-btn'; btn.type='button'; btn.innerHTML=`<span class="floor-num">${f}</span>`; }
+      else { btn = document.createElement('button'); btn.className='floor-btn'; btn.type='button'; btn.innerHTML='<span class="floor-num"></span>'; }
       btn.dataset.floor = f;
-      const span = btn.querySelector('.floor-num'); if (span) span.textContent = f;
+      btn.setAttribute('aria-label', t('ui.floor', { floor: name }));
+      const span = btn.querySelector('.floor-num'); if (span) span.textContent = name;
+      // floors the current car skips stay visible but inert
+      if (!world.elev.serves(f)) { btn.disabled = true; btn.title = t('ui.notServed', { car: world.elev.id, floor: name }); }
+      // lit while the player's car call for it stands
+      const selected = world.elev.playerInside && world.playerRequestedFloor === f;
+      btn.classList.toggle('floor-selected', selected); btn.setAttribute('aria-pressed', String(selected));
 
       // use attachButtonHandler to ensure consistent pointer/click handling
       attachButtonHandler(btn, () => {
         if (btn.disabled) return;
-        if (btn.classList.contains('floor-selected')) { appendLogUI(`Lantai ${f} sudah dipilih.`); return; }
+        if (btn.classList.contains('floor-selected')) { appendLogUI(t('ui.alreadySelected', { floor: name })); return; }
         AudioEngine.ensure(); AudioEngine.unlock(); AudioEngine.beep({freq:880,time:0.06});
-        if (!world.elev.playerInside) { appendLogUI('Keypad hanya aktif saat berada di dalam kabin.'); return; }
-        // Record request — elevator will not move while doorsOpen is true (movement blocked)
-        world.elev.requestFloor(f);
+        if (!world.elev.playerInside) { appendLogUI(t('ui.keypadInside')); return; }
+        // Record request — elevator will not move while doorsOpen is true (movement blocked);
+        // a secured floor without a card tapped is refused (sim/access.js)
+        if (!world.input('carCall', { floor: f })) return;
         btn.classList.add('floor-selected'); btn.setAttribute('aria-pressed','true');
-        world.playerRequestedFloor = f;
-        appendLogUI(`Meminta lantai ${f} (akan bergerak setelah pintu tertutup).`);
+        appendLogUI(t('ui.requested', { floor: name }));
       });
 
       container.appendChild(btn);
     }
+    renderKeypadAccess(world);
     container.style.display = world.elev.playerInside ? 'grid' : 'none';
   }
 
+  // lock state of secured floors on the keypad: locked until a card that opens them is tapped
+  function renderKeypadAccess(world) {
+    if (!DOM.floorPanel) return;
+    const now = world.clock.now();
+    for (const btn of DOM.floorPanel.querySelectorAll('.floor-btn')) {
+      const f = Number(btn.dataset.floor), state = world.access.keypadState(world, world.elev, f);
+      if (btn.dataset.access === state) continue;
+      btn.dataset.access = state;
+      btn.classList.toggle('floor-locked', state === 'locked');
+      btn.classList.toggle('floor-unlocked', state === 'unlocked');
+      if (btn.disabled) continue;
+      const floor = world.floorLabel(f);
+      if (state === 'open') btn.removeAttribute('title');
+      else btn.title = t(state === 'locked' ? 'ui.locked' : 'ui.unlocked', { floor, cards: world.access.required(f, now).join(', ') });
+      btn.setAttribute('aria-label', state === 'open' ? t('ui.floor', { floor }) : `${t('ui.floor', { floor })} — ${btn.title}`);
+    }
+  }
+
   function clearSelectedKeypadButton(floor) {
     const btn = DOM.floorPanel.querySelector(`.floor-btn[data-floor="${floor}"]`);
     if (btn) { btn.classList.remove('floor-selected'); btn.setAttribute('aria-pressed','false'); }
@@ -907,7 +638,8 @@ const LiftSim = (function () {
     const ap = DOM.actionPanel; if (!ap) return;
     ap.innerHTML = '';
 
-    const e = world.elev;
+    // the car the player rides, else one standing open at the player's floor
+    const e = world.playerCar() || world.boardableCar() || world.elev;
     // IMPORTANT CHANGE: show action panel immediately when doorsOpen is true
     if (!e.doorsOpen) { ap.style.display='none'; return; }
     ap.style.display='flex'; ap.style.pointerEvents='auto'; ap.style.zIndex='9999';
@@ -916,46 +648,38 @@ const LiftSim = (function () {
 
     // Masuk (manual)
     if (!e.playerInside && liftFloor === world.playerFloor) {
-      const btn = document.createElement('button'); btn.className='action-btn enter'; btn.type='button'; btn.textContent='Masuk';
-      btn.setAttribute('aria-label', `Masuk lift di lantai ${liftFloor}`); btn.tabIndex=0;
+      const btn = document.createElement('button'); btn.className='action-btn enter'; btn.type='button'; btn.textContent=t('ui.enter');
+      btn.setAttribute('aria-label', t('ui.enterAria', { floor: world.floorLabel(liftFloor) })); btn.tabIndex=0;
       attachButtonHandler(btn, (ev) => {
         ev.stopPropagation?.();
         if (btn.disabled) return;
         btn.disabled = true; setTimeout(()=>{ btn.disabled=false; }, 1200);
         AudioEngine.ensure(); AudioEngine.unlock(); AudioEngine.beep();
-        const actionKey = `manualEnter:${liftFloor}:${Math.floor(e.arrivalTs/1000)}`;
-        const ok = e.tryEnterOnce(actionKey, CFG.passengerWeightKg);
-        if (ok) {
-          world.log(`Anda masuk ke lift (manual) di lantai ${liftFloor}`);
+        if (world.input('enter', { car: e.id })) {
           dispatch('lift:boarded', { floor: liftFloor });
-          AudioEngine.announce('Anda masuk ke lift');
+          AudioEngine.announce(t('ui.say.entered'));
           buildInternalKeypad(world);
           updatePanelsVisibility(world);
-        } else world.log('Gagal masuk (manual) — mungkin sudah masuk atau terblokir.');
+        }
       });
       ap.appendChild(btn);
     }
 
     // Keluar (manual)
     if (e.playerInside) {
-      const btn = document.createElement('button'); btn.className='action-btn exit'; btn.type='button'; btn.textContent='Keluar';
-      btn.setAttribute('aria-label', `Keluar lift di lantai ${liftFloor}`); btn.tabIndex=0;
+      const btn = document.createElement('button'); btn.className='action-btn exit'; btn.type='button'; btn.textContent=t('ui.exit');
+      btn.setAttribute('aria-label', t('ui.exitAria', { floor: world.floorLabel(liftFloor) })); btn.tabIndex=0;
       attachButtonHandler(btn, (ev) => {
         ev.stopPropagation?.();
         if (btn.disabled) return;
         btn.disabled = true; setTimeout(()=>{ btn.disabled=false; }, 1200);
         AudioEngine.ensure(); AudioEngine.unlock(); AudioEngine.beep();
-        const actionKey = `manualExit:${liftFloor}:${Math.floor(e.arrivalTs/1000)}`;
-        const ok = e.tryExitOnce(actionKey, CFG.passengerWeightKg);
-        if (ok) {
-          world.playerFloor = liftFloor;
-          world.log(`Anda keluar (manual) di lantai ${liftFloor}`);
+        if (world.input('exit')) {
           dispatch('lift:exited', { floor: liftFloor });
-          AudioEngine.announce(`Anda turun di lantai ${liftFloor}`);
-          if (world.playerRequestedFloor === liftFloor) world.playerRequestedFloor = null;
+          AudioEngine.announce(t('ui.say.exited', { floor: world.floorLabel(liftFloor) }));
           buildInternalKeypad(world);
           updatePanelsVisibility(world);
-        } else world.log('Gagal keluar (manual) — mungkin sudah keluar atau terblokir.');
+        }
       });
       ap.appendChild(btn);
     }
@@ -969,156 +693,649 @@ const LiftSim = (function () {
     if (DOM.btnDoorOpen) DOM.btnDoorOpen.disabled = !inside;
     if (DOM.btnDoorClose) DOM.btnDoorClose.disabled = !inside;
     if (DOM.btnAlarm) DOM.btnAlarm.disabled = false;
+    if (DOM.btnTapCard) DOM.btnTapCard.disabled = !inside;
     if (DOM.displaySmall) {
-      const liftF = world.elev.metersToFloor(world.elev.position);
-      const youState = inside ? `Anda: di dalam (asal ${world.playerFloor})` : `Anda: ${world.playerFloor} (di luar)`;
-      DOM.displaySmall.textContent = `Lift: ${liftF} — ${youState}`;
+      const liftF = world.floorLabel(world.elev.metersToFloor(world.elev.position));
+      const you = t(inside ? 'ui.youInside' : 'ui.youOutside', { floor: world.floorLabel(world.playerFloor) });
+      DOM.displaySmall.textContent = t('ui.display', { car: world.carTag(world.elev), floor: liftF, you });
     }
   }
 
-  function wireControls(world) {
+  // debug menu: one option per registered dispatch strategy, current one selected
+  function renderDispatchSelect(world) {
+    const sel = DOM.dispatchSelect;
+    if (!sel) return;
+    sel.innerHTML = '';
+    for (const s of listStrategies()) {
+      const opt = document.createElement('option');
+      opt.value = s.id; opt.textContent = s.label;
+      sel.appendChild(opt);
+    }
+    sel.value = world.strategy.id;
+  }
+
+  // smoke detector test: one option per floor
+  function renderSmokeFloors() {
+    if (!DOM.smokeFloor) return;
+    const sel = DOM.smokeFloor.value;
+    DOM.smokeFloor.innerHTML = '';
+    for (let f = 0; f < CFG.floors; f++) {
+      const opt = document.createElement('option');
+      opt.value = String(f); opt.textContent = t('ui.floor', { floor: world.floorLabel(f) });
+      DOM.smokeFloor.appendChild(opt);
+    }
+    if (sel) DOM.smokeFloor.value = sel;
+  }
+
+  // static text of index.html: data-i18n is the element text, data-i18n-aria / -title / -placeholder
+  // the attribute; the markup keeps the Indonesian text for when the script does not run
+  const I18N_ATTRS = { i18nAria: 'aria-label', i18nTitle: 'title', i18nPlaceholder: 'placeholder' };
+  function applyTranslations(root = document) {
+    for (const el of root.querySelectorAll('[data-i18n], [data-i18n-aria], [data-i18n-title], [data-i18n-placeholder]')) {
+      if (el.dataset.i18n) el.textContent = t(el.dataset.i18n);
+      for (const [key, attr] of Object.entries(I18N_ATTRS)) if (el.dataset[key]) el.setAttribute(attr, t(el.dataset[key]));
+    }
+    if (root !== document) return;
+    document.documentElement.lang = getLocale();
+    for (const tpl of document.querySelectorAll('template')) applyTranslations(tpl.content);
+  }
+
+  function renderLocaleSelect() {
+    const sel = DOM.localeSelect;
+    if (!sel) return;
+    sel.innerHTML = '';
+    for (const id of LOCALES) {
+      const opt = document.createElement('option');
+      opt.value = id; opt.textContent = id.toUpperCase();
+      sel.appendChild(opt);
+    }
+    sel.value = getLocale();
+  }
+
+  // switch the UI language and redraw everything holding text; lines already logged stay as they are
+  function setLanguage(locale) {
+    if (setLocale(locale) !== locale) return false;
+    saveJSON(LOCALE_KEY, locale);
+    applyTranslations();
+    renderLocaleSelect();
+    renderSmokeFloors();
+    setWorld(world);
+    renderMetricsPanel(world);
+    renderServicePanel(world);
+    renderIntercomPanel(world);
+    appendLogUI(t('ui.language'));
+    return true;
+  }
+
+  // KPI panel: only rendered while open
+  function renderMetricsPanel(world) {
+    if (!DOM.metricsPanel || !DOM.metricsPanel.open || !DOM.metricsList) return;
+    const r = world.metrics.report(world);
+    const stat = (s, unit = '') => (s.count ? t('ui.kpi.stat', { ...s, unit }) : '—');
+    const pct = v => (v === null ? '—' : `${Math.round(v * 100)}%`);
+    const rows = [
+      ['hallWait', stat(r.hallWaitS, 's')],
+      ['toDestination', stat(r.timeToDestinationS, 's')],
+      ['stops', stat(r.stopsPerTrip)],
+      ['waitingOver', `${pct(r.waitingOver30s)} / ${pct(r.waitingOver60s)}`],
+      ['distance', `${r.distanceM} m`],
+      ['doorCycles', `${r.doorCycles}`],
+      ['energy', `${r.energyKWh} kWh`],
+      ['trapped', stat(r.trappedS, 's')]
+    ];
+    DOM.metricsList.innerHTML = '';
+    for (const [k, v] of rows) {
+      const kv = document.createElement('div'); kv.className = 'kv';
+      const dt = document.createElement('dt'); dt.textContent = t(`ui.kpi.${k}`);
+      const dd = document.createElement('dd'); dd.textContent = v;
+      kv.appendChild(dt); kv.appendChild(dd); DOM.metricsList.appendChild(kv);
+    }
+  }
+
+  // service panel: component health per car and the last service entries; only rendered while open
+  function renderServicePanel(world) {
+    if (!DOM.servicePanel || !DOM.servicePanel.open || !DOM.serviceList) return;
+    DOM.serviceList.innerHTML = '';
+    for (const car of world.cars) {
+      const kv = document.createElement('div'); kv.className = 'kv';
+      const dt = document.createElement('dt'); dt.textContent = t('ui.lift', { car: car.id });
+      const dd = document.createElement('dd');
+      const parts = Object.entries(car.components).map(([k, v]) => `${k} ${Math.round(v)}%`).join(' · ');
+      dd.textContent = car.inService ? parts : `${parts} · ${t('ui.outOfService')}`;
+      kv.appendChild(dt); kv.appendChild(dd); DOM.serviceList.appendChild(kv);
+    }
+    if (!DOM.serviceHistory) return;
+    DOM.serviceHistory.innerHTML = '';
+    for (const h of world.maintenance.history.slice(-8).reverse()) {
+      const li = document.createElement('li');
+      li.className = h.kind;
+      li.textContent = `${new Date(h.ts).toLocaleTimeString()} ${h.car} ${h.note}`;
+      DOM.serviceHistory.appendChild(li);
+    }
+  }
+
+  // intercom panel: transcript of the latest session
+  function renderIntercomPanel(world) {
+    if (!DOM.intercomPanel || !DOM.intercomPanel.open || !DOM.intercomLog) return;
+    const s = world.intercom.sessions[world.intercom.sessions.length - 1];
+    if (DOM.intercomStatus) {
+      const eta = s && s.state === 'dispatched' && s.eta ? ` ${t('ui.intercom.eta', { at: new Date(s.eta).toLocaleTimeString() })}` : '';
+      DOM.intercomStatus.textContent = s ? `${t('ui.lift', { car: s.car })}: ${t(`ui.intercom.${s.state}`)}${eta}` : t('ui.intercom.none');
+    }
+    DOM.intercomLog.innerHTML = '';
+    for (const line of s ? s.transcript : []) {
+      const li = document.createElement('li');
+      li.textContent = `${new Date(line.ts).toLocaleTimeString()} ${line.who === 'system' ? '•' : `${line.who}:`} ${line.text}`;
+      DOM.intercomLog.appendChild(li);
+    }
+  }
+
+  // display line: service modes win over the motion state
+  function carStatusText(e) {
+    if (e.serviceMode === 'fire1') return t(e.doorsFullyOpen && !e.queue.length ? 'ui.status.fireParked' : 'ui.status.fireRecall');
+    if (e.serviceMode === 'fire2') return t('ui.status.firePhase2', { key: t(`ui.fireKey.${e.fireKey}`) });
+    if (e.trip) return t('ui.status.emergency', { device: t(`ui.device.${e.trip.device}`) });
+    if (e.rescue) return t(`ui.rescue.${e.rescue.phase}`);
+    return e.inService ? t(`ui.state.${e.state}`) : t('ui.outOfService');
+  }
+
+  const onPhase2 = () => (world.playerCar() || world.elev).serviceMode === 'fire2';
+
+  // Phase II: OPEN / CLOSE are constant-pressure buttons, held from pointerdown until let go
+  function wireFireDoorButton(btn, button) {
+    if (!btn) return;
+    btn.addEventListener('pointerdown', () => {
+      if (btn.disabled || !onPhase2()) return;
+      btn._fireHeld = true;
+      world.input('fireDoor', { button, pressed: true });
+    });
+    const release = () => {
+      if (!btn._fireHeld) return;
+      btn._fireHeld = false;
+      world.input('fireDoor', { button, pressed: false });
+    };
+    for (const type of ['pointerup', 'pointerleave', 'pointercancel']) btn.addEventListener(type, release);
+  }
+
+  // handlers read the outer `world` binding so they follow setWorld()
+  function wireControls() {
+    wireFireDoorButton(DOM.btnDoorOpen, 'open');
+    wireFireDoorButton(DOM.btnDoorClose, 'close');
     if (DOM.btnDoorOpen) {
       attachButtonHandler(DOM.btnDoorOpen, () => {
-        if (DOM.btnDoorOpen.disabled) return;
+        if (DOM.btnDoorOpen.disabled || onPhase2()) return;
         AudioEngine.ensure(); AudioEngine.unlock(); AudioEngine.beep();
-        const ok = world.elev.openDoors();
-        appendLogUI(ok ? 'Pintu dibuka.' : 'Gagal membuka pintu.');
-        if (ok) AudioEngine.announce('Pintu terbuka');
+        const ok = world.input('doorOpen');
+        appendLogUI(t(ok ? 'ui.doorOpened' : 'ui.doorOpenFailed'));
+        if (ok) AudioEngine.announce(t('ui.say.doorOpen'));
       });
     }
     if (DOM.btnDoorClose) {
       attachButtonHandler(DOM.btnDoorClose, () => {
-        if (DOM.btnDoorClose.disabled) return;
+        if (DOM.btnDoorClose.disabled || onPhase2()) return;
         AudioEngine.ensure(); AudioEngine.unlock(); AudioEngine.beep();
-        const ok = world.elev.closeDoors();
-        appendLogUI(ok ? 'Pintu ditutup.' : 'Penutupan pintu tertahan.');
-        if (ok) AudioEngine.announce('Pintu tertutup');
+        const ok = world.input('doorClose');
+        appendLogUI(t(ok ? 'ui.doorClosing' : 'ui.doorCloseHeld'));
+        if (ok) AudioEngine.announce(t('ui.say.doorClose'));
       });
     }
     if (DOM.btnAlarm) {
       attachButtonHandler(DOM.btnAlarm, () => {
         const last = DOM.btnAlarm._lastTs || 0;
-        if (nowMs() - last < 2000) { appendLogUI('Alarm: sudah dipanggil baru-baru ini.'); return; }
+        if (nowMs() - last < 2000) { appendLogUI(t('ui.alarmRecent')); return; }
         DOM.btnAlarm._lastTs = nowMs();
         AudioEngine.ensure(); AudioEngine.unlock(); AudioEngine.beep({ freq: 240, time: 0.28, vol: 0.28 });
-        appendLogUI('Alarm ditekan — bantuan diberitahu (simulasi).');
         dispatch('lift:alarm', { who: 'Passenger' });
-        world.scheduled.push({ ts: nowMs() + secToMs(8), type: 'auto_repair', payload: { comp: 'control' } });
+        world.input('alarm');
+        renderIntercomPanel(world);
+      });
+    }
+    if (DOM.btnTapCard) {
+      attachButtonHandler(DOM.btnTapCard, () => {
+        if (DOM.btnTapCard.disabled) return;
+        AudioEngine.ensure(); AudioEngine.unlock();
+        world.input('tapCard');
       });
     }
     if (DOM.modalClose) attachButtonHandler(DOM.modalClose, () => { if (DOM.modal) DOM.modal.setAttribute('aria-hidden', 'true'); });
     if (DOM.audioToggle) {
       attachButtonHandler(DOM.audioToggle, () => {
         const on = AudioEngine.toggle(); DOM.audioToggle.textContent = on ? '🔊' : '🔇';
-        appendLogUI(on ? 'Suara aktif' : 'Suara dimatikan');
+        appendLogUI(t(on ? 'ui.soundOn' : 'ui.soundOff'));
+      });
+    }
+    if (DOM.metricsPanel) DOM.metricsPanel.addEventListener('toggle', () => renderMetricsPanel(world));
+    if (DOM.servicePanel) DOM.servicePanel.addEventListener('toggle', () => renderServicePanel(world));
+    if (DOM.intercomPanel) DOM.intercomPanel.addEventListener('toggle', () => renderIntercomPanel(world));
+    if (DOM.btnMetricsJson) attachButtonHandler(DOM.btnMetricsJson, () => downloadFile('lift-kpi.json', JSON.stringify(world.metrics.report(world), null, 2)));
+    if (DOM.btnMetricsCsv) attachButtonHandler(DOM.btnMetricsCsv, () => downloadFile('lift-kpi.csv', toCSV(world.metrics.report(world)), 'text/csv'));
+    if (DOM.btnExportWorld) attachButtonHandler(DOM.btnExportWorld, () => { exportWorld(); });
+    if (DOM.btnImportWorld && DOM.importFile) {
+      attachButtonHandler(DOM.btnImportWorld, () => DOM.importFile.click());
+      DOM.importFile.addEventListener('change', async () => {
+        const file = DOM.importFile.files && DOM.importFile.files[0];
+        DOM.importFile.value = '';
+        if (file) importWorld(await file.text());
       });
     }
-    // keyboard shortcuts: m = mute, o = open, c = close
+    renderSmokeFloors();
+    if (DOM.btnSmoke) attachButtonHandler(DOM.btnSmoke, () => { world.input('smoke', { floor: parseInt(DOM.smokeFloor?.value ?? '0', 10) }); });
+    if (DOM.btnFireReset) attachButtonHandler(DOM.btnFireReset, () => { if (!world.input('fireReset')) appendLogUI(t('ui.noFire')); });
+    if (DOM.btnPowerCut) attachButtonHandler(DOM.btnPowerCut, () => {
+      const secs = parseFloat(DOM.outageSecs?.value ?? '');
+      if (!world.power.on) { appendLogUI(t('ui.powerAlreadyOff')); return; }
+      world.input('powerCut', { durationS: secs > 0 ? secs : null });
+    });
+    if (DOM.btnPowerRestore) attachButtonHandler(DOM.btnPowerRestore, () => { if (!world.input('powerRestore')) appendLogUI(t('ui.powerNotOff')); });
+    // safety faults and the chain reset act on the car being followed
+    const safetyCar = () => (world.playerCar() || world.elev).id;
+    if (DOM.btnFaultOn) attachButtonHandler(DOM.btnFaultOn, () => { world.input('safetyFault', { car: safetyCar(), fault: DOM.safetyFault?.value, active: true }); });
+    if (DOM.btnFaultOff) attachButtonHandler(DOM.btnFaultOff, () => { world.input('safetyFault', { car: safetyCar(), fault: DOM.safetyFault?.value, active: false }); });
+    if (DOM.btnSafetyReset) attachButtonHandler(DOM.btnSafetyReset, () => { if (!world.input('safetyReset', { car: safetyCar() }) && !(world.playerCar() || world.elev).trip) appendLogUI(t('ui.chainIntact')); });
+    if (DOM.fireKey) {
+      DOM.fireKey.addEventListener('change', () => {
+        world.input('fireKey', { pos: DOM.fireKey.value });
+        DOM.fireKey.value = (world.playerCar() || world.elev).fireKey;
+      });
+    }
+    if (DOM.localeSelect) DOM.localeSelect.addEventListener('change', () => setLanguage(DOM.localeSelect.value));
+    if (DOM.dispatchSelect) {
+      DOM.dispatchSelect.addEventListener('change', () => {
+        world.input('dispatch', { id: DOM.dispatchSelect.value });
+        renderDispatchSelect(world);
+      });
+    }
+    // keyboard shortcuts: m = mute, o = open, c = close (held down under Phase II)
+    window.addEventListener('keyup', (e) => {
+      const button = { o: 'open', c: 'close' }[e.key.toLowerCase()];
+      if (button && onPhase2()) world.input('fireDoor', { button, pressed: false });
+    });
     window.addEventListener('keydown', (e) => {
+      const button = { o: 'open', c: 'close' }[e.key.toLowerCase()];
+      if (button && onPhase2()) { if (!e.repeat) world.input('fireDoor', { button, pressed: true }); return; }
       if (e.key.toLowerCase() === 'm') {
         const on = AudioEngine.toggle(); if (DOM.audioToggle) DOM.audioToggle.textContent = on ? '🔊' : '🔇';
-        appendLogUI(on ? 'Suara aktif' : 'Suara dimatikan');
+        appendLogUI(t(on ? 'ui.soundOn' : 'ui.soundOff'));
       } else if (e.key.toLowerCase() === 'o') DOM.btnDoorOpen?.click();
       else if (e.key.toLowerCase() === 'c') DOM.btnDoorClose?.click();
     });
 
-    window.addEventListener('lift:arrived', (e) => { if (e?.detail) appendLogUI(`Lift tiba di lantai ${e.detail.floor}`); });
-    window.addEventListener('lift:door', (e) => { if (e?.detail?.state) appendLogUI(`Door ${e.detail.state}`); });
-    window.addEventListener('lift:call', (e) => { if (e?.detail) appendLogUI(`Call: ${e.detail.floor} by ${e.detail.who || 'unknown'}`); });
-    window.addEventListener('lift:boarded', (e) => { appendLogUI('Anda berada di dalam lift.'); buildInternalKeypad(world); updatePanelsVisibility(world); });
-    window.addEventListener('lift:exited', (e) => { appendLogUI('Anda berada di luar lift.'); if (typeof e?.detail?.floor === 'number') clearSelectedKeypadButton(e.detail.floor); buildInternalKeypad(world); updatePanelsVisibility(world); });
+    window.addEventListener('lift:arrived', (e) => {
+      if (!e?.detail) return;
+      const car = world.carById(e.detail.car);
+      appendLogUI(t('ui.arrived', { car: car ? world.carTag(car) : '', floor: world.floorLabel(e.detail.floor) }));
+    });
+    window.addEventListener('lift:door', (e) => { if (e?.detail?.state) appendLogUI(t('ui.doorState', { state: t(`ui.doorEvent.${e.detail.state}`) })); });
+    window.addEventListener('lift:call', (e) => { if (e?.detail) appendLogUI(t('ui.call', { floor: world.floorLabel(e.detail.floor), who: e.detail.who ? whoLabel(e.detail.who) : t('ui.unknown') })); });
+    window.addEventListener('lift:boarded', (e) => { appendLogUI(t('ui.boarded')); buildInternalKeypad(world); updatePanelsVisibility(world); });
+    window.addEventListener('lift:exited', (e) => { appendLogUI(t('ui.leftCar')); if (typeof e?.detail?.floor === 'number') clearSelectedKeypadButton(e.detail.floor); buildInternalKeypad(world); updatePanelsVisibility(world); });
   }
 
-  /* Persistence */
+  /* Persistence: versioned saves (sim/save.js); savedAt is wall time, for the catch-up on reload */
   const PERSIST_KEY = CFG.persistenceKey || 'only-lift-world-v1';
-  function saveNow(world) { try { saveJSON(PERSIST_KEY, { ts: nowMs(), world: world.serialize() }); } catch (e) { console.warn('saveNow failed', e); } }
+  function saveNow(world) { try { saveJSON(PERSIST_KEY, createSave(world, nowMs())); } catch (e) { console.warn('saveNow failed', e); } }
   function tryLoad() { try { return loadJSON(PERSIST_KEY); } catch (e) { return null; } }
 
   /* Bootstrap */
   let world;
+  let catchUpMs = 0;
   const saved = tryLoad();
-  if (saved && saved.world) {
+  if (saved) {
     try {
-      world = World.deserialize(saved.world);
-      const delta = Math.floor((nowMs() - (saved.ts || nowMs())) / 1000);
-      const ff = Math.min(delta, 60 * 10);
-      if (ff > 2) {
-        let ran = 0; const stepSec = 5;
-        while (ran < ff) { world.step(Math.min(stepSec, ff - ran)); ran += stepSec; }
-        world.log(`Fast-forwarded ${Math.round(ff)}s since last session`);
-      }
-    } catch (e) { console.warn('Failed to deserialize saved world; creating new one.', e); world = new World(); world.log('World initialized (fresh).'); }
-  } else { world = new World(); world.log('World initialized (fresh).'); }
-
+      const { save, from, fixes } = readSave(saved, CFG);
+      world = World.deserialize(save.world, worldEnv(save.world.ts ?? save.savedAt ?? nowMs()));
+      if (from < SAVE_VERSION) world.log(t('ui.migrated', { from, to: SAVE_VERSION }));
+      if (fixes.length) world.log(t('ui.adjusted', { fixes: fixes.join('; ') }));
+      // the time away is caught up once the loop runs (see fastForward below)
+      const away = nowMs() - (save.savedAt || nowMs());
+      if (away > 2000) catchUpMs = Math.min(away, (CFG.catchUpMaxMinutes ?? 120) * 60_000);
+    } catch (e) { console.warn('Failed to deserialize saved world; creating new one.', e); world = createWorld(); world.log(t('ui.saveUnusable', { error: e.message, seed: world.rng.seed })); }
+  } else { world = createWorld(); world.log(t('ui.fresh', { seed: world.rng.seed })); }
+
+  applyTranslations();
+  renderLocaleSelect();
   const renderer = new Renderer(DOM.canvas, world);
   buildInternalKeypad(world);
   renderExternalPanel(world);
   updatePanelsVisibility(world);
-  wireControls(world);
-
-  window.addEventListener('lift:arrived', () => {
+  renderDispatchSelect(world);
+  wireControls();
+
+  // swap the live world (reset, replay) and rebuild everything bound to it
+  function setWorld(next) {
+    world = next;
+    renderer.world = next;
+    lastRenderedSnapshot = null;
+    buildInternalKeypad(world);
     renderExternalPanel(world);
-    const f = world.elev.arrivalFloor;
-    if (typeof f === 'number') {
-      world.markCallServedAtFloor(f);
-      if (world.playerRequestedFloor === f) clearSelectedKeypadButton(f);
+    updatePanelsVisibility(world);
+    renderDispatchSelect(world);
+    return world;
+  }
+
+  /* Export / import (see sim/save.js) */
+  function exportWorld(download = true) {
+    const save = createSave(world, nowMs());
+    if (download) downloadFile(`lift-world-${new Date(save.savedAt).toISOString().replace(/[:.]/g, '-')}.json`, JSON.stringify(save, null, 2));
+    appendLogUI(t('ui.exported', { v: SAVE_VERSION }));
+    return save;
+  }
+
+  // an exported save replaces the live world; one made for another building is refused unless
+  // force is set (it is then fitted to this config). Returns { ok, from, fixes, mismatches, error }
+  function importWorld(raw, { force = false } = {}) {
+    let read;
+    try { read = readSave(raw, CFG); } catch (e) { appendLogUI(t('ui.importFailed', { error: e.message })); return { ok: false, error: e.message }; }
+    const mismatches = compareBuilding(read.save.building, buildingOf(CFG));
+    if (mismatches.length && !force) {
+      appendLogUI(t('ui.importRefused', { diff: mismatches.join('; ') }));
+      return { ok: false, from: read.from, mismatches };
+    }
+    if (recorder) { recorder.stop(); recorder = null; }
+    replayer = null; scenario = null;
+    // a save that still cannot be rebuilt leaves a fresh world, as on load
+    try { setWorld(World.deserialize(read.save.world, worldEnv(read.save.world.ts ?? nowMs()))); } catch (e) {
+      setWorld(createWorld());
+      saveNow(world);
+      world.log(t('ui.saveUnusable', { error: e.message, seed: world.rng.seed }));
+      return { ok: false, from: read.from, error: e.message };
     }
+    saveNow(world);
+    appendLogUI(t('ui.imported', { from: read.from, fixes: read.fixes.join('; ') }));
+    return { ok: true, from: read.from, fixes: read.fixes, mismatches };
+  }
+
+  /* Recording / replay (see sim/recorder.js) and QA scenarios (sim/scenario.js) */
+  let recorder = null;
+  let replayer = null;
+  let scenario = null;
+  let lastScenarioResult = null;
+
+  // hall calls are marked served inside the model (World.carArrived); only the UI follows here
+  window.addEventListener('lift:arrived', (e) => {
+    renderExternalPanel(world);
+    const f = e?.detail?.floor;
+    const riding = world.playerCar();
+    if (typeof f === 'number' && riding && riding.id === e.detail.car && world.playerRequestedFloor === f) clearSelectedKeypadButton(f);
   });
   window.addEventListener('lift:call', () => { renderExternalPanel(world); });
 
+  /* Simulation time (sim/runner.js): the world only moves in fixed steps of STEP_MS simulated time,
+     whether running live at any speed, stepped while paused or fast-forwarded */
+  const STEP_MS = 1000 / 60;
+  const runner = new SimRunner(() => {
+    if (scenario) {
+      // the scenario logs its own verdicts; its world simply runs on afterwards
+      if (scenario.tick()) return true;
+      lastScenarioResult = scenario.result; scenario = null;
+      return false;
+    }
+    if (!replayer) { world.step(STEP_MS / 1000); return true; }
+    // replay drives the world with the recorded dt sequence instead of STEP_MS
+    if (replayer.tick()) return true;
+    const res = replayer.result; replayer = null;
+    appendLogUI(res.ok ? t('ui.replayOk') : t('ui.replayDiff', { diff: res.mismatches.join(', ') }));
+    return false;
+  }, { stepMs: STEP_MS });
+
+  function renderTimeControls() {
+    if (DOM.btnPause) { DOM.btnPause.textContent = runner.paused ? '▶' : '⏸'; DOM.btnPause.setAttribute('aria-pressed', String(runner.paused)); }
+    if (DOM.btnStep) DOM.btnStep.disabled = !runner.paused || runner.busy;
+    if (DOM.btnFastForward) DOM.btnFastForward.disabled = runner.busy;
+    if (DOM.speedSelect && document.activeElement !== DOM.speedSelect) DOM.speedSelect.value = String(runner.speed);
+  }
+
+  function setPaused(paused) {
+    if (paused === runner.paused) return;
+    if (paused) runner.pause(); else runner.resume();
+    appendLogUI(t(paused ? 'ui.paused' : 'ui.resumed'));
+    renderTimeControls();
+  }
+
+  function setSpeed(x) {
+    runner.setSpeed(x);
+    appendLogUI(t('ui.speed', { x: runner.speed }));
+    renderTimeControls();
+    return runner.speed;
+  }
+
+  function stepSim(n = 1) {
+    let ran = 0;
+    while (ran < n && runner.stepOnce()) ran++;
+    return ran;
+  }
+
+  // runs `minutes` of simulated time as fast as the page allows, with the same steps as live running
+  async function fastForward(minutes, reason = t('ui.ff')) {
+    if (runner.busy || !(minutes > 0)) return 0;
+    const simMs = minutes * 60_000;
+    const t0 = nowMs();
+    quiet = true;
+    renderTimeControls();
+    appendLogUI(t('ui.ffStart', { reason, d: formatDuration(simMs) }));
+    let steps = 0;
+    try {
+      steps = await runner.fastForward(simMs, {
+        onProgress: (done, total) => { if (DOM.simTime) DOM.simTime.textContent = `⏩ ${Math.floor((done / total) * 100)}%`; }
+      });
+    } finally {
+      quiet = false;
+    }
+    setWorld(world);
+    renderTimeControls();
+    world.log(t('ui.ffDone', { reason, d: formatDuration(steps * STEP_MS), s: ((nowMs() - t0) / 1000).toFixed(1) }));
+    return steps;
+  }
+
+  function formatDuration(ms) {
+    const min = Math.round(ms / 60_000);
+    if (min >= 60) return t('ui.dur.hm', { h: Math.floor(min / 60), m: min % 60 });
+    return min ? t('ui.dur.m', { m: min }) : t('ui.dur.s', { s: Math.round(ms / 1000) });
+  }
+
+  if (DOM.speedSelect) {
+    DOM.speedSelect.innerHTML = '';
+    for (const x of SPEEDS) {
+      const opt = document.createElement('option');
+      opt.value = String(x); opt.textContent = `${x}×`;
+      DOM.speedSelect.appendChild(opt);
+    }
+    DOM.speedSelect.addEventListener('change', () => setSpeed(Number(DOM.speedSelect.value)));
+  }
+  if (DOM.btnPause) DOM.btnPause.addEventListener('click', () => setPaused(!runner.paused));
+  if (DOM.btnStep) DOM.btnStep.addEventListener('click', () => stepSim());
+  if (DOM.btnFastForward) DOM.btnFastForward.addEventListener('click', () => fastForward(Number(DOM.ffMinutes?.value) || 60));
+  // p = pause / resume, . = one step (paused), [ / ] = slower / faster
+  window.addEventListener('keydown', (e) => {
+    if (e.target instanceof HTMLElement && e.target.matches('input, select, textarea')) return;
+    if (e.key === 'p' || e.key === 'P') setPaused(!runner.paused);
+    else if (e.key === '.' && runner.paused) stepSim();
+    else if (e.key === '[') setSpeed(runner.slower());
+    else if (e.key === ']') setSpeed(runner.faster());
+  });
+  renderTimeControls();
+
   /* Simulation loop */
   let lastRAF = performance.now();
-  let accumulator = 0;
-  const STEP_MS = 1000 / 60;
+  let lastMetricsRender = 0;
 
   function frame(now) {
-    const delta = Math.min(200, now - lastRAF);
+    // a frame is at most 200 ms of wall time (background tabs); the runner caps the steps per frame
+    runner.advance(Math.min(200, now - lastRAF));
     lastRAF = now;
-    accumulator += delta;
-    let steps = 0;
-    while (accumulator >= STEP_MS && steps < 8) {
-      world.step(STEP_MS / 1000);
-      accumulator -= STEP_MS;
-      steps++;
-    }
 
     renderer.draw();
 
-    if (DOM.displayFloor) DOM.displayFloor.textContent = String(world.elev.metersToFloor(world.elev.position));
-    if (DOM.displayState) DOM.displayState.textContent = world.elev.state;
-    if (DOM.readoutLoad) DOM.readoutLoad.textContent = `${Math.round(world.elev.loadKg)} kg`;
+    // floor + travel-direction lantern of the passenger-facing car
+    const arrow = world.elev.direction === 'up' ? ' ▲' : world.elev.direction === 'down' ? ' ▼' : '';
+    if (DOM.displayFloor) DOM.displayFloor.textContent = `${world.floorLabel(world.elev.metersToFloor(world.elev.position))}${arrow}`;
+    if (DOM.displayState) DOM.displayState.textContent = carStatusText(world.elev);
+    if (DOM.fireKey && document.activeElement !== DOM.fireKey) DOM.fireKey.value = (world.playerCar() || world.elev).fireKey;
+    if (DOM.readoutLoad) {
+      DOM.readoutLoad.textContent = `${Math.round(world.elev.loadKg)} kg (${world.elev.loadPct}%)${world.elev.overloaded ? ` ${t('ui.overload')}` : ''}`;
+      DOM.readoutLoad.classList.toggle('overload', world.elev.overloaded);
+    }
     if (DOM.readoutSpeed) DOM.readoutSpeed.textContent = `${world.elev.velocity.toFixed(2)} m/s`;
-    if (DOM.readoutDoor) DOM.readoutDoor.textContent = world.elev.doorsOpen ? 'Terbuka' : 'Tertutup';
+    if (DOM.readoutDoor) DOM.readoutDoor.textContent = t(`ui.door.${world.elev.door}`);
+    if (DOM.readoutPeriod) DOM.readoutPeriod.textContent = world.traffic.period || t('traffic.quiet');
+    if (DOM.simTime && !runner.busy) DOM.simTime.textContent = `${new Date(world.clock.now()).toLocaleTimeString()} · ${runner.paused ? t('ui.pausedShort') : `${runner.speed}×`}`;
+    if (now - lastMetricsRender > 1000) { lastMetricsRender = now; renderMetricsPanel(world); renderServicePanel(world); }
 
     renderExternalPanel(world);
     renderActionPanel(world);
     updatePanelsVisibility(world);
+    // taps run out and rules follow the clock
+    renderKeypadAccess(world);
 
     requestAnimationFrame(frame);
   }
   requestAnimationFrame((t) => { lastRAF = t; requestAnimationFrame(frame); });
+  if (catchUpMs) fastForward(catchUpMs / 60_000, t('ui.ffCatchUp'));
 
   setInterval(() => saveNow(world), 8000);
   const unlockOnce = () => { AudioEngine.ensure(); AudioEngine.unlock(); window.removeEventListener('click', unlockOnce); };
   window.addEventListener('click', unlockOnce, { once: true });
 
   window.LiftSim = {
-    world, cfg: CFG, audio: AudioEngine,
-    saveNow: () => { saveNow(world); appendLogUI('World saved'); },
+    get world() { return world; },
+    cfg: CFG, audio: AudioEngine,
+    saveNow: () => { saveNow(world); appendLogUI(t('ui.saved')); },
+    // versioned save (sim/save.js): exportWorld(download?) returns it (and downloads the JSON file),
+    // importWorld(jsonOrObject, { force }) checks it against this building before loading it
+    exportWorld,
+    importWorld,
     reset: (preserveFloor = true) => {
       const f = preserveFloor ? world.playerFloor : CFG.initialFloor;
       try { if (storageAvailable) localStorage.removeItem(PERSIST_KEY); } catch (e) { __memoryStore = {}; }
-      world = new World();
+      recorder = null; replayer = null; scenario = null;
+      setWorld(createWorld());
       world.playerFloor = f;
-      buildInternalKeypad(world);
-      renderExternalPanel(world);
-      updatePanelsVisibility(world);
-      appendLogUI('World reset');
+      appendLogUI(t('ui.reset'));
       return world;
+    },
+    // start capturing inputs/events from the current state; stopRecording() returns the JSON
+    startRecording: () => {
+      if (recorder) recorder.stop();
+      recorder = new Recorder(world);
+      appendLogUI(t('ui.recording', { seed: world.rng.seed }));
+      return true;
+    },
+    stopRecording: () => {
+      if (!recorder) return null;
+      const rec = recorder.stop(); recorder = null;
+      appendLogUI(t('ui.recorded', { inputs: rec.inputs.length, events: rec.events.length, ticks: rec.end.tick }));
+      return rec;
+    },
+    // replay a recording in place of the live world; { instant: true } runs it to the end at once
+    loadRecording: (rec, { instant = false } = {}) => {
+      if (typeof rec === 'string') rec = JSON.parse(rec);
+      if (recorder) { recorder.stop(); recorder = null; }
+      scenario = null;
+      replayer = new Replayer(rec, { sink: dispatch });
+      setWorld(replayer.world);
+      appendLogUI(t('ui.replayStart', { ticks: rec.end?.tick ?? '?' }));
+      if (instant) { const res = replayer.runToEnd(); replayer = null; return res; }
+      return true;
+    },
+    // QA scenarios (sim/scenario.js): load(json) runs one in place of the live world at the current
+    // speed (pause / step / fast-forward apply); { instant: true } runs it to the end at once and
+    // returns { ok, passed, failed, results }. Verdicts appear in the log panel.
+    scenario: {
+      load: (sc, { instant = false } = {}) => {
+        let run;
+        try { run = new ScenarioRun(sc, { cfg: CFG, sink: (name, detail) => { if (!quiet) dispatch(name, detail); }, dtS: STEP_MS / 1000 }); } catch (e) { appendLogUI(t('ui.scenarioRefused', { error: e.message })); return { ok: false, error: e.message }; }
+        if (recorder) { recorder.stop(); recorder = null; }
+        replayer = null;
+        scenario = run;
+        setWorld(run.world);
+        if (!instant) return true;
+        quiet = true;
+        try { run.runToEnd(); } finally { quiet = false; }
+        scenario = null;
+        lastScenarioResult = run.result;
+        // verdicts were logged while quiet; show them now
+        for (const v of run.result.results) appendLogUI(scenarioVerdict(v));
+        appendLogUI(t('scenario.finished', { name: run.name, passed: run.result.passed, total: run.result.results.length }));
+        setWorld(world);
+        return run.result;
+      },
+      stop: () => { if (!scenario) return false; scenario = null; appendLogUI(t('ui.scenarioStopped')); return true; },
+      get running() { return !!scenario; },
+      get result() { return lastScenarioResult; }
+    },
+    // KPIs (sim/metrics.js): report() as JSON, csv() as text, reset() starts a new measuring window
+    metrics: {
+      report: () => world.metrics.report(world),
+      csv: () => toCSV(world.metrics.report(world)),
+      reset: () => { world.metrics.reset(world.clock.now()); renderMetricsPanel(world); appendLogUI(t('ui.kpiReset')); }
+    },
+    // maintenance (sim/maintenance.js): service history and component health per car
+    service: {
+      history: () => world.maintenance.history.slice(),
+      status: () => world.cars.map(c => ({ car: c.id, mode: c.serviceMode, components: { ...c.components } }))
+    },
+    // fire service (sim/fire.js): smoke(floor) starts Phase I, key('on' | 'hold' | 'off') for Phase II
+    fire: {
+      smoke: (floor) => world.input('smoke', { floor }),
+      key: (pos) => world.input('fireKey', { pos }),
+      reset: () => world.input('fireReset'),
+      get active() { return world.fire.active; }
+    },
+    // power failure (sim/power.js): cut(durationS?) drops mains power (random outage length when
+    // omitted), restore() brings it back early
+    power: {
+      cut: (durationS = null) => world.input('powerCut', { durationS }),
+      restore: () => world.input('powerRestore'),
+      get on() { return world.power.on; }
+    },
+    // card readers (sim/access.js): tap(cards?) taps the player's card (or the given card groups) in
+    // the car; status() gives each floor's cards needed right now and its keypad state in that car
+    access: {
+      tap: (cards) => world.input('tapCard', cards ? { cards } : {}),
+      status: () => Array.from({ length: CFG.floors }, (_, f) => ({
+        floor: f, label: world.floorLabel(f), cards: world.access.required(f, world.clock.now()), state: world.access.keypadState(world, world.playerCar() || world.elev, f)
+      }))
+    },
+    // ALARM intercom (sim/intercom.js): alarm(car?) opens a session, sessions() lists them with transcripts
+    intercom: {
+      alarm: (car = null) => world.input('alarm', { car }),
+      sessions: () => JSON.parse(JSON.stringify(world.intercom.sessions))
+    },
+    // safety chain (sim/safety.js): fault('doorLock' | 'runaway' | 'overtravel', active?, car?),
+    // reset(car?) after a trip; status() per car
+    safety: {
+      fault: (fault, active = true, car = null) => world.input('safetyFault', { car, fault, active }),
+      reset: (car = null) => world.input('safetyReset', { car }),
+      status: () => world.cars.map(c => ({ car: c.id, trip: c.trip && { ...c.trip }, faults: c.faults.slice() }))
+    },
+    // simulation time (sim/runner.js): pause(), resume(), step(n), speed (0.25–50×), fastForward(minutes)
+    // resolves to the steps run; paused / now (simulated ms) read the state
+    time: {
+      pause: () => setPaused(true),
+      resume: () => setPaused(false),
+      step: (n = 1) => stepSim(n),
+      get speed() { return runner.speed; },
+      set speed(x) { setSpeed(x); },
+      fastForward: (minutes) => fastForward(minutes),
+      get paused() { return runner.paused; },
+      get now() { return world.clock.now(); }
+    },
+    // UI language (sim/i18n.js): list, current, set(id) — 'id' (default) or 'en', kept across sessions
+    locale: {
+      list: LOCALES,
+      get current() { return getLocale(); },
+      set: (id) => setLanguage(id)
+    },
+    // dispatch strategies (sim/dispatch.js): list(), use(id), register({ id, label, nextStop, assignCost? })
+    dispatch: {
+      list: listStrategies,
+      get current() { return world.strategy.id; },
+      use: (id) => { const ok = world.input('dispatch', { id }); renderDispatchSelect(world); return ok; },
+      register: (strategy) => { const s = registerStrategy(strategy); renderDispatchSelect(world); return s.id; }
     }
   };
 
-  appendLogUI('Simulator siap — Auto-enter/auto-exit dimatikan; masuk/keluar manual. Auto-close = ' + (CFG.doorAutoCloseMs/1000) + 's; tombol Masuk/Keluar berfungsi. Tekan "m" untuk mute/unmute.');
+  appendLogUI(t('ui.ready', { minS: CFG.doorDwell.minMs / 1000, maxS: CFG.doorDwell.maxMs / 1000, autoS: CFG.doorAutoCloseMs / 1000 }));
   console.info('LiftSim initialized', { cfg: CFG, storageAvailable });
 
   return { world, cfg: CFG, audio: AudioEngine };
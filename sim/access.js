@@ -0,0 +1,98 @@
+// sim/access.js
+// Card readers for secured floors (executive, plant rooms, the car park after hours).
+// cfg.access.floors maps a floor index to a rule or a list of rules { cards: ['exec'], from?, to? }:
+// while a rule applies (from / to on the world clock, "from" > "to" wraps past midnight, none = all
+// day) a car call there needs a card of one of the groups in force. The player taps a card
+// (playerCards) on the reader of the car, which unlocks that card's floors for tapS seconds; each
+// generated passenger carries a group's card with the share given in npcCards and only heads for
+// floors those cards open. Refused presses are logged and sent as 'lift:access'. Cars under
+// firefighter Phase II ignore the readers.
+
+import { t } from './i18n.js';
+import { minuteOfDay, inPeriod } from './traffic.js';
+
+// cfg.access.floors as a list of rules per floor index; bad entries are skipped with a warning
+function parseRules(spec, floors) {
+  const rules = [];
+  for (const [key, v] of Object.entries(spec || {})) {
+    const f = Number(key), list = Array.isArray(v) ? v : [v];
+    if (!Number.isInteger(f) || f < 0 || f >= floors || !list.length || !list.every(r => r && Array.isArray(r.cards) && r.cards.length)) {
+      console.warn(`Ignoring access rule for floor "${key}"`);
+      continue;
+    }
+    rules[f] = list;
+  }
+  return rules;
+}
+
+export class AccessControl {
+  constructor(cfg) {
+    this.cfg = cfg.access || {};
+    this.rules = parseRules(this.cfg.floors, cfg.floors);
+    // per car id: the cards last tapped on its reader and when that tap runs out
+    this.taps = {};
+  }
+
+  get tapMs() { return (this.cfg.tapS ?? 10) * 1000; }
+
+  // card groups that open floor f at clock time ms; null = not secured then
+  required(f, ms) {
+    const m = minuteOfDay(ms);
+    const active = (this.rules[f] || []).filter(r => inPeriod(r, m));
+    return active.length ? [...new Set(active.flatMap(r => r.cards))] : null;
+  }
+
+  allows(world, f, cards = []) {
+    const need = this.required(f, world.clock.now());
+    return !need || cards.some(c => need.includes(c));
+  }
+
+  // cards tapped on the reader of car e that are still valid
+  tapped(world, e) {
+    const tap = this.taps[e.id];
+    return tap && tap.until > world.clock.now() ? tap.cards : [];
+  }
+
+  // keypad state of floor f in car e: 'open', 'unlocked' (by the card tapped) or 'locked'
+  keypadState(world, e, f) {
+    if (e.serviceMode === 'fire2' || !this.required(f, world.clock.now())) return 'open';
+    return this.allows(world, f, this.tapped(world, e)) ? 'unlocked' : 'locked';
+  }
+
+  tap(world, e, cards = this.cfg.playerCards || []) {
+    this.taps[e.id] = { cards: cards.slice(), until: world.clock.now() + this.tapMs };
+    const floors = [];
+    for (let f = 0; f < world.cfg.floors; f++) if (this.keypadState(world, e, f) === 'unlocked') floors.push(f);
+    world.log(t(floors.length ? 'access.tapped' : 'access.tappedNone', {
+      car: world.carTag(e), cards: cards.join(', '), floors: floors.map(f => world.floorLabel(f)).join(', '), s: this.tapMs / 1000
+    }));
+    world.sink('lift:access', { car: e.id, tap: true, cards: cards.slice(), floors });
+    return true;
+  }
+
+  // a car call to floor f in car e, with the card tapped there (the player) or the rider's own
+  // (passenger id `who` and cards); false when the reader refuses it
+  check(world, e, f, who = 'Passenger', cards = this.tapped(world, e)) {
+    const need = this.required(f, world.clock.now());
+    if (!need || e.serviceMode === 'fire2') return true;
+    const granted = cards.some(c => need.includes(c));
+    const params = { id: who, car: world.carTag(e), floor: world.floorLabel(f), cards: need.join(', ') };
+    if (granted) world.log(t(who === 'Passenger' ? 'access.granted' : 'access.grantedRider', params));
+    else world.log(t(who === 'Passenger' ? 'access.refused' : 'access.refusedRider', params));
+    world.sink('lift:access', { car: e.id, floor: f, who, granted });
+    return granted;
+  }
+
+  // the cards a generated passenger carries (draws nothing when npcCards is empty)
+  drawCards(rng) {
+    return Object.entries(this.cfg.npcCards || {}).filter(([, share]) => rng.chance(share)).map(([card]) => card);
+  }
+
+  serialize() { return { taps: JSON.parse(JSON.stringify(this.taps)) }; }
+
+  static deserialize(obj, cfg) {
+    const a = new AccessControl(cfg);
+    if (obj && obj.taps) a.taps = { ...obj.taps };
+    return a;
+  }
+}
@@ -0,0 +1,72 @@
+// sim/batch.js
+// Headless batch runs for lift sizing (see cli.js): one World per run on its own SimClock, no sink.
+// A sweep is the cross product of value lists per config path and of the seeds, e.g.
+//   { 'maxSpeedMps': [1.6, 2.5], 'physics.accelLimit': [0.8, 1.2], 'doorAutoCloseMs': [6000, 10000],
+//     'dispatch': ['look', 'eta'] }
+// Any dotted config path can be swept; maxSpeedMps also replaces the speed of every cars[] entry.
+// Each run keeps all KPI samples (metricsMaxSamples: null) and gives one summary row.
+
+import { World, SimClock, resolveConfig } from './core.js';
+import { parseClock } from './scenario.js';
+
+export const SWEEP_KEYS = ['maxSpeedMps', 'physics.accelLimit', 'doorAutoCloseMs', 'dispatch'];
+
+// copy of cfg with `path` (a.b.c) set to value
+function setPath(cfg, path, value) {
+  const keys = path.split('.');
+  const out = { ...cfg };
+  let node = out;
+  for (const k of keys.slice(0, -1)) node = node[k] = { ...(node[k] || {}) };
+  node[keys[keys.length - 1]] = value;
+  if (path === 'maxSpeedMps' && Array.isArray(out.cars)) out.cars = out.cars.map(c => ({ ...c, maxSpeedMps: value }));
+  return out;
+}
+
+export function applyParams(cfg, params) {
+  return Object.entries(params).reduce((c, [path, v]) => setPath(c, path, v), cfg);
+}
+
+// every combination of the sweep values, as { path: value } objects (one {} for an empty sweep)
+export function expandSweep(sweep = {}) {
+  return Object.entries(sweep).reduce(
+    (combos, [path, values]) => combos.flatMap(c => (Array.isArray(values) ? values : [values]).map(v => ({ ...c, [path]: v }))),
+    [{}]
+  );
+}
+
+// one run of `hours` simulated hours from `start` ("HH:MM", ISO date or epoch ms) in steps of dtS
+export function runOnce(base, params = {}, { hours = 1, seed = 1, start = '00:00', dtS = 0.1 } = {}) {
+  const cfg = resolveConfig(applyParams({ ...base, seed, metricsMaxSamples: null }, params));
+  const world = new World({ cfg, clock: new SimClock(parseClock(start)) });
+  const steps = Math.round((hours * 3600) / dtS);
+  for (let i = 0; i < steps; i++) world.step(dtS);
+  const r = world.metrics.report(world);
+  return {
+    ...params,
+    seed,
+    hours,
+    meanWaitS: r.hallWaitS.avg,
+    p90WaitS: r.hallWaitS.p90,
+    trips: r.timeToDestinationS.count,
+    energyKWh: r.energyKWh,
+    callsServed: r.hallWaitS.count,
+    meanTripS: r.timeToDestinationS.avg,
+    distanceM: r.distanceM
+  };
+}
+
+// every sweep combination for every seed; onRun(row, index, total) after each run
+export function runBatch(base, { sweep = {}, seeds = [1], onRun = null, ...opts } = {}) {
+  const runs = expandSweep(sweep).flatMap(params => seeds.map(seed => ({ params, seed })));
+  return runs.map(({ params, seed }, i) => {
+    const row = { run: i + 1, ...runOnce(base, params, { ...opts, seed }) };
+    if (onRun) onRun(row, i, runs.length);
+    return row;
+  });
+}
+
+export function rowsToCSV(rows) {
+  const cols = [...new Set(rows.flatMap(r => Object.keys(r)))];
+  const cell = v => (v === null || v === undefined ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : v);
+  return [cols.join(','), ...rows.map(r => cols.map(c => cell(r[c])).join(','))].join('\n');
+}
@@ -0,0 +1,1537 @@
+// sim/core.js
+// The Only Lift — headless simulation core (Elevator + World).
+// No DOM/window access: config, clock and event sink are passed in through the
+// constructor, so the same model runs in the browser (script.js) and in Node.
+// Usage (Node):
+//   import { World, SimClock, resolveConfig } from './sim/core.js';
+//   const clock = new SimClock();
+//   const world = new World({ cfg: resolveConfig({ floors: 12 }), clock, sink: (name, detail) => {} });
+//   for (let i = 0; i < 60 * 60; i++) world.step(1 / 60);   // one simulated minute
+// All randomness comes from world.rng (seeded by cfg.seed), so seed + player inputs
+// reproduce a session exactly — see sim/recorder.js.
+
+import { Rng, randomSeed } from './random.js';
+import { getStrategy, normalizePick, strategyLabel, DEFAULT_STRATEGY } from './dispatch.js';
+import { Passenger } from './passenger.js';
+import { TrafficGenerator } from './traffic.js';
+import { Metrics } from './metrics.js';
+import { t } from './i18n.js';
+import { Maintenance } from './maintenance.js';
+import { FireService } from './fire.js';
+import { PowerSupply } from './power.js';
+import { SafetyChain } from './safety.js';
+import { LoadWeighing } from './load.js';
+import { Intercom } from './intercom.js';
+import { AccessControl } from './access.js';
+import { planStop, sampleProfile, stoppingDistance } from './motion.js';
+
+/* -------------------------
+   Utilities
+------------------------- */
+export const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+export const secToMs = s => s * 1000;
+
+/* -------------------------
+   Config
+------------------------- */
+export const DEFAULT_CFG = {
+  floors: 18,
+  // names by floor index, bottom first, e.g. ['B2', 'B1', 'G', 'M', '1', ...]; a missing, null or ''
+  // entry shows the index. { label: 'P', served: false } is a floor no car stops at (plant rooms).
+  floorLabels: null,
+  // internal keypad layout: 'descending' puts the top floor first, 'ascending' the bottom one
+  floorOrder: 'descending',
+  initialFloor: 0,
+  passengerWeightKg: 75,
+  // rated load of a car (kg) unless its cars[] entry gives capacityKg
+  ratedLoadKg: 1800,
+  // load weighing (sim/load.js): % of rated load for the full-load bypass and for overload; car calls
+  // are cancelled as nuisance when there are at least nuisanceMinCalls with under nuisanceKgPerCall each
+  loadWeighing: { fullLoadPct: 80, overloadPct: 100, nuisanceMinCalls: 3, nuisanceKgPerCall: 40 },
+  maxSpeedMps: 2.5,
+  floorHeightMeters: 3.0,
+  // landing heights (m) by floor index, rising, e.g. [0, 5.5, 9, 12.5, ...] for a tall lobby or
+  // [0, 4.5, 61, 64.5, ...] across a blind express zone; null = floors floorHeightMeters apart
+  floorElevations: null,
+  // accelLimit/brakeLimit in m/s², jerkLimit in m/s³ (S-curve ride, sim/motion.js)
+  physics: { accelLimit: 1.5, brakeLimit: 2.0, jerkLimit: 1.5 },
+  persistenceKey: 'only-lift-world-v1',
+  // on reload the world catches up on the time since it was saved, at most this long
+  catchUpMaxMinutes: 120,
+  // PRNG seed for traffic and random events; null = pick a fresh one per world
+  seed: null,
+  // passenger traffic by time of day on the world clock (sim/traffic.js); perMin = arrivals per
+  // minute for the whole building, pattern = a key of patterns (or of TRAFFIC_PATTERNS)
+  traffic: {
+    lobbyFloor: 0,
+    periods: [
+      { name: 'up-peak', from: '07:30', to: '09:30', pattern: 'upPeak', perMin: 8 },
+      { name: 'lunch', from: '11:45', to: '13:30', pattern: 'lunch', perMin: 5 },
+      { name: 'down-peak', from: '16:30', to: '18:30', pattern: 'downPeak', perMin: 8 },
+      { name: 'night', from: '22:00', to: '06:00', pattern: 'interfloor', perMin: 0.2 },
+      { name: 'inter-floor', from: '00:00', to: '24:00', pattern: 'interfloor', perMin: 1.5 }
+    ],
+    // shares of incoming (from the lobby), outgoing (to the lobby) and inter-floor trips
+    patterns: {}
+  },
+  randomEventRatePerSec: 0.00045,
+  // firefighter operation (sim/fire.js): Phase I recall floor, and the alternate used when smoke is
+  // detected on the recall floor itself
+  fire: { recallFloor: 0, alternateFloor: 1 },
+  // card readers (sim/access.js): secured floors by index, each a rule or a list of rules
+  // { cards: ['exec'], from?: '22:00', to?: '06:00' } (no from / to = all day); a tap unlocks the
+  // floors of the cards tapped for tapS seconds. playerCards = the player's card, npcCards = the share
+  // of generated passengers carrying each group's card, e.g. { staff: 0.6, exec: 0.05 }
+  access: { floors: {}, tapS: 10, playerCards: ['staff'], npcCards: {} },
+  // power failure (sim/power.js): emergency braking (m/s²), pause before the battery rescue, rescue
+  // speed (m/s) and acceleration, counterweight as a share of rated load (decides the lighter
+  // direction), and the outage length range (s) when a cut does not give one
+  power: { emergencyDecelMps2: 3.0, rescueDelayS: 8, rescueSpeedMps: 0.3, rescueAccelMps2: 0.3, counterweightShare: 0.45, outageS: [60, 600] },
+  // safety chain (sim/safety.js): governor trip speed as % of the car's rated speed, safety gear and
+  // machine brake deceleration (m/s²), final limit switches this far past the end landings (m)
+  safety: { governorTripPct: 115, safetyGearDecelMps2: 5, brakeDecelMps2: 3, finalLimitM: 0.15 },
+  // traction energy (sim/metrics.js): empty car mass, drive efficiency, share of braking energy fed
+  // back to the supply (0 = resistor), and the standing draw of controller and cabin per car (W)
+  energy: { carMassKg: 1000, efficiency: 0.75, regenShare: 0, standbyW: 150 },
+  // KPI samples kept per series (the report covers these); null keeps every sample (batch runs)
+  metricsMaxSamples: 2000,
+  // ALARM intercom (sim/intercom.js): seconds until the help desk answers and between operator lines;
+  // the technician comes after maintenance.technicianMinutes
+  intercom: { connectS: 4, stepS: 6, operatorName: 'Rina' },
+  // component wear and servicing (sim/maintenance.js): health points lost per door cycle and per trip
+  // (more at rated load). Below degradedBelow a part misbehaves: a weak motor loses up to half its top
+  // speed and stops up to levellingErrorM off level. Below outOfServiceBelow (or on a door jam) the
+  // car goes out of service until a technician arrives technicianMinutes [min, max] later.
+  maintenance: {
+    doorWearPerCycle: 0.02, motorWearPerTrip: 0.015, motorWearAtFullLoad: 0.03,
+    degradedBelow: 40, outOfServiceBelow: 15, levellingErrorM: 0.05, technicianMinutes: [5, 15]
+  },
+  doorActionCooldownMs: 900,
+  // door dwell at a hall-call stop = 10000 ms (10 seconds)
+  doorAutoCloseMs: 10000,
+  // adaptive dwell on the world clock (ms): a car-call-only stop dwells carCallMs, a stop answering
+  // both kinds the longer of the two plus bothExtraMs; once someone passes the doorway the doors close
+  // afterLastMs after the last person. Every dwell stays within [minMs, maxMs] of the doors opening.
+  doorDwell: { carCallMs: 3000, bothExtraMs: 1500, afterLastMs: 1500, minMs: 2000, maxMs: 20000 },
+  // closed doors lock after doorLockMs; after doorNudgeAfter light-curtain reopens at one stop the
+  // next close is a slow nudging close that ignores the curtain
+  doorLockMs: 300,
+  doorNudgeAfter: 3,
+  // dispatch strategy id (sim/dispatch.js): 'look' | 'eta' | 'nearest' | 'fcfs' | a registered one
+  dispatch: DEFAULT_STRATEGY,
+  // elevator bank: null = one car from the fields above, or up to 8 entries like
+  // { id: 'B', maxSpeedMps: 4, capacityKg: 1600, servedFloors: [0, 10, 11, 12], initialFloor: 0 }
+  cars: null
+};
+
+// merge a (partial) config object over the defaults; nested groups are merged, not replaced
+export function resolveConfig(overrides = {}) {
+  const cfg = Object.assign({}, DEFAULT_CFG, overrides);
+  cfg.physics = Object.assign({}, DEFAULT_CFG.physics, overrides.physics || {});
+  cfg.traffic = Object.assign({}, DEFAULT_CFG.traffic, overrides.traffic || {});
+  cfg.doorDwell = Object.assign({}, DEFAULT_CFG.doorDwell, overrides.doorDwell || {});
+  cfg.maintenance = Object.assign({}, DEFAULT_CFG.maintenance, overrides.maintenance || {});
+  cfg.fire = Object.assign({}, DEFAULT_CFG.fire, overrides.fire || {});
+  cfg.access = Object.assign({}, DEFAULT_CFG.access, overrides.access || {});
+  cfg.power = Object.assign({}, DEFAULT_CFG.power, overrides.power || {});
+  cfg.safety = Object.assign({}, DEFAULT_CFG.safety, overrides.safety || {});
+  cfg.loadWeighing = Object.assign({}, DEFAULT_CFG.loadWeighing, overrides.loadWeighing || {});
+  cfg.intercom = Object.assign({}, DEFAULT_CFG.intercom, overrides.intercom || {});
+  cfg.energy = Object.assign({}, DEFAULT_CFG.energy, overrides.energy || {});
+  return cfg;
+}
+
+export const MAX_CARS = 8;
+
+// landing heights above the lowest landing (m), one per floor: cfg.floorElevations when it rises
+// from floor to floor, else evenly floorHeightMeters apart
+export function floorElevations(cfg) {
+  const given = cfg.floorElevations;
+  if (Array.isArray(given) && given.length >= cfg.floors) {
+    const list = given.slice(0, cfg.floors).map(Number);
+    if (list.every((m, i) => Number.isFinite(m) && (i === 0 || m > list[i - 1]))) return list.map(m => m - list[0]);
+    console.warn('cfg.floorElevations must rise from floor to floor; using floorHeightMeters');
+  } else if (given) console.warn(`cfg.floorElevations needs ${cfg.floors} entries; using floorHeightMeters`);
+  return Array.from({ length: cfg.floors }, (_, f) => f * cfg.floorHeightMeters);
+}
+
+// display name of floor f: its floorLabels entry, else the index
+export function floorLabelOf(cfg, f) {
+  const entry = Array.isArray(cfg.floorLabels) ? cfg.floorLabels[f] : null;
+  const label = entry && typeof entry === 'object' ? entry.label : entry;
+  return label === undefined || label === null || label === '' ? String(f) : String(label);
+}
+
+// floors flagged { served: false } in floorLabels
+export function unservedFloors(cfg) {
+  if (!Array.isArray(cfg.floorLabels)) return [];
+  return cfg.floorLabels.flatMap((e, f) => (e && typeof e === 'object' && e.served === false && f < cfg.floors ? [f] : []));
+}
+
+// normalised car list: cfg.cars, or a single car built from the top-level fields
+export function carSpecs(cfg) {
+  let list = Array.isArray(cfg.cars) && cfg.cars.length ? cfg.cars : [{}];
+  if (list.length > MAX_CARS) { console.warn(`cfg.cars: only the first ${MAX_CARS} cars are used`); list = list.slice(0, MAX_CARS); }
+  const closed = unservedFloors(cfg);
+  return list.map((c, i) => {
+    let served = Array.isArray(c.servedFloors)
+      ? [...new Set(c.servedFloors)].filter(f => Number.isInteger(f) && f >= 0 && f < cfg.floors).sort((a, b) => a - b)
+      : null;
+    // building-wide unserved floors are taken out of every car's list
+    if (closed.length) served = (served || Array.from({ length: cfg.floors }, (_, f) => f)).filter(f => !closed.includes(f));
+    let initialFloor = c.initialFloor ?? cfg.initialFloor;
+    if (served && served.length && !served.includes(initialFloor)) initialFloor = served[0];
+    return {
+      id: String(c.id ?? String.fromCharCode(65 + i)),
+      maxSpeedMps: c.maxSpeedMps ?? cfg.maxSpeedMps,
+      capacityKg: c.capacityKg ?? cfg.ratedLoadKg ?? DEFAULT_CFG.ratedLoadKg,
+      servedFloors: served && served.length ? served : null,
+      initialFloor
+    };
+  });
+}
+
+/* -------------------------
+   Clocks & sinks
+   - wallClock: real time (browser default)
+   - SimClock: simulated time, advanced by World.step (headless runs)
+------------------------- */
+export const wallClock = { now: () => Date.now() };
+
+export class SimClock {
+  constructor(startMs = 0) { this.ms = startMs; }
+  now() { return this.ms; }
+  advance(ms) { this.ms += ms; }
+  // jump to a time (scenario setClock); timers already running keep their absolute timestamps
+  set(ms) { this.ms = ms; }
+}
+
+const noopSink = () => {};
+
+// who pressed a button, for the log: the player, a scenario, background NPCs, or a passenger id
+const WHO_KEYS = { Passenger: 'who.player', NPC: 'who.npc', Scenario: 'who.scenario' };
+export const whoLabel = who => (WHO_KEYS[who] ? t(WHO_KEYS[who]) : who);
+
+// stop with the smallest score(stop)
+const nearestStop = (stops, score) => stops.reduce((best, s) => (score(s) < score(best) ? s : best));
+
+/* -------------------------
+   Elevator Model: one car — S-curve travel, stop queue, adaptive door operator (dwell by stop type
+   and doorway traffic), riders and load; the player enters and exits through World
+------------------------- */
+export const EState = { IDLE:'IDLE', MOVING:'MOVING', ARRIVED:'ARRIVED', DOOR_OPEN:'DOOR_OPEN', DOOR_CLOSED:'DOOR_CLOSED', EMERGENCY:'EMERGENCY', OUT_OF_SERVICE:'OUT_OF_SERVICE' };
+
+// stop accuracy (m) below which a car counts as level with the floor
+const LEVEL_TOLERANCE_M = 0.01;
+
+// door operator: LOCKED -> OPENING -> OPEN -> CLOSING -> CLOSED -> LOCKED; the car only moves when LOCKED
+export const DoorState = { OPENING:'OPENING', OPEN:'OPEN', CLOSING:'CLOSING', CLOSED:'CLOSED', LOCKED:'LOCKED' };
+
+export class Elevator {
+  // env: { cfg, clock, sink } — usually the owning World (which also gets carArrived callbacks)
+  // spec: one entry of carSpecs(cfg)
+  constructor(env, floors, initialFloor, spec = {}) {
+    this.env = env;
+    this.cfg = env.cfg;
+    this.clock = env.clock;
+    this.sink = env.sink;
+    this.id = spec.id ?? 'A';
+    this.maxSpeedMps = spec.maxSpeedMps ?? this.cfg.maxSpeedMps;
+    // sorted floor indices this car stops at; null = all floors
+    this.servedFloors = spec.servedFloors ?? null;
+    this.floors = floors;
+    // landing heights (m) by floor, shared with the World
+    this.elevations = env.elevations ?? floorElevations(this.cfg);
+    this.position = this.floorToMeters(initialFloor);
+    this.velocity = 0;
+    this.acceleration = 0;
+    this.targetFloor = null;
+    // S-curve profile being followed to targetFloor (see replan), null when not travelling
+    this.plan = null;
+    // registered stops: { floor, kind } with kind 'car' (in-car button) or 'up'/'down' (hall call)
+    this.queue = [];
+    // travel direction kept between stops ('up' | 'down' | null when idle); doubles as the hall lantern
+    this.direction = null;
+    this.state = EState.IDLE;
+    this.door = DoorState.LOCKED;
+    // 0 = closed .. 1 = fully open; moves while OPENING/CLOSING
+    this.doorProgress = 0;
+    this.doorSpeed = 0.9;
+    this.doorLockAt = null;
+    // doors jammed (open or shut) by a door_jam event; only a technician visit frees them
+    this.holdDoor = false;
+    // light-curtain reopens at this stop; nudging = slow buzzing close that ignores the curtain
+    this.obstructions = 0;
+    this.nudging = false;
+    this.loadKg = 0;
+    // Passenger objects on board (the player is only counted in loadKg/playerInside)
+    this.riders = [];
+    this.playerInside = false;
+    this.lastDoorActionMs = 0;
+    this.doorCooldownMs = this.cfg.doorActionCooldownMs || 900;
+    this.ratedLoadKg = spec.capacityKg ?? this.cfg.ratedLoadKg ?? DEFAULT_CFG.ratedLoadKg;
+    this.arrivalFloor = null;
+    this.components = { door: 100, motor: 100 };
+    // 'normal' | 'leaving' (no new calls, riders get out) | 'out' (parked OUT OF SERVICE), see
+    // sim/maintenance.js; 'fire1' | 'fire2' = firefighter Phase I / II, see sim/fire.js; 'power' =
+    // power failure, see sim/power.js; 'emergency' = safety chain broken, see sim/safety.js
+    this.serviceMode = 'normal';
+    // safety chain trip: { device, decel, phase: 'stopping' | 'stopped', ts, prevMode } or null;
+    // faults = injected safety faults (SAFETY_FAULTS)
+    this.trip = null;
+    this.faults = [];
+    // battery rescue after a power failure: { phase: 'braking' | 'stopped' | 'moving' | 'parked' |
+    // 'jammed' (level, doors jammed shut), since, stoppedAt, prevMode, trapped } or null
+    this.rescue = null;
+    // Phase II key switch ('off' | 'hold' | 'on'), the door button held ('open' | 'close' | null) and
+    // the button that started the current door movement (null = reversing on its own)
+    this.fireKey = 'off';
+    this.doorButton = null;
+    this.fireDoorDriver = null;
+    // levelling miss drawn for the stop being approached: { floor, m } (weak motor only)
+    this.levelError = null;
+    // ensure elevator uses configured auto-close
+    this.autoCloseMs = this.cfg.doorAutoCloseMs || 10000;
+    this.arrivalTs = 0;
+    // auto-close deadline on this.clock (null = none pending)
+    this.autoCloseAt = null;
+    // what the current stop answers ('hall' | 'car' | 'both'), when the doors last opened fully,
+    // when someone last passed the doorway, and a CLOSE press made while the doors were opening
+    this.stopKind = 'hall';
+    this.openedAt = null;
+    this.lastPassTs = null;
+    this.closeRequested = false;
+    this._lastManualActionKey = null;
+    this._lastManualActionTs = 0;
+  }
+
+  // doors not shut: the car is blocked and people can pass (OPENING, OPEN or CLOSING)
+  get doorsOpen() { return this.door === DoorState.OPENING || this.door === DoorState.OPEN || this.door === DoorState.CLOSING; }
+
+  get inService() { return this.serviceMode === 'normal'; }
+  get onFireService() { return this.serviceMode === 'fire1' || this.serviceMode === 'fire2'; }
+  get doorsFullyOpen() { return this.door === DoorState.OPEN; }
+  get doorsLocked() { return this.door === DoorState.LOCKED; }
+
+  // weighed load against the rated load (sim/load.js)
+  get loadPct() { return Math.round((this.loadKg / this.ratedLoadKg) * 100); }
+  get overloaded() { return this.loadKg > (this.ratedLoadKg * (this.cfg.loadWeighing || DEFAULT_CFG.loadWeighing).overloadPct) / 100; }
+  get fullLoad() { return this.loadKg >= (this.ratedLoadKg * (this.cfg.loadWeighing || DEFAULT_CFG.loadWeighing).fullLoadPct) / 100; }
+
+  floorToMeters(f) { return this.elevations[clamp(Math.floor(f), 0, this.floors - 1)]; }
+  // nearest landing: the last one at or below m, or the next one when that is closer
+  metersToFloor(m) {
+    const el = this.elevations;
+    let lo = 0, hi = el.length - 1;
+    while (lo < hi) { const mid = (lo + hi + 1) >> 1; if (el[mid] <= m) lo = mid; else hi = mid - 1; }
+    return lo + 1 < el.length && el[lo + 1] - m <= m - el[lo] ? lo + 1 : lo;
+  }
+  serves(f) { return !this.servedFloors || this.servedFloors.includes(f); }
+
+  addStop(floor, kind) {
+    if (!this.queue.some(s => s.floor === floor && s.kind === kind)) this.queue.push({ floor, kind, ts: this.clock.now() });
+  }
+
+  // drop one registered stop (floor + kind)
+  dropStop(floor, kind) {
+    this.queue = this.queue.filter(s => !(s.floor === floor && s.kind === kind));
+  }
+
+  // car buttons work in (or on the way out of) normal service, and for the firefighter with the key ON
+  acceptsCarCalls() {
+    return this.serviceMode === 'normal' || this.serviceMode === 'leaving' || (this.serviceMode === 'fire2' && this.fireKey === 'on');
+  }
+
+  // car call from the in-car keypad; returns false when this car does not stop at the floor or takes no calls
+  requestFloor(f, who = 'Passenger') {
+    const ff = clamp(Math.floor(f), 0, this.floors - 1);
+    if (!this.serves(ff) || !this.acceptsCarCalls()) return false;
+    this.addStop(ff, 'car');
+    this.sink('lift:call', { floor: ff, who, car: this.id });
+    return true;
+  }
+
+  // hall call assigned by the group controller; dir is the direction the caller wants to travel
+  requestExternal(f, who = 'NPC', dir = null) {
+    const ff = clamp(Math.floor(f), 0, this.floors - 1);
+    if (!this.serves(ff)) return false;
+    this.addStop(ff, dir === 'up' || dir === 'down' ? dir : 'car');
+    this.sink('lift:call', { floor: ff, who, dir, car: this.id });
+    return true;
+  }
+
+  // standing level at a floor with no travel planned
+  atRest() {
+    return !this.plan && Math.abs(this.velocity) < 1e-3 && Math.abs(this.position - this.floorToMeters(this.metersToFloor(this.position))) < LEVEL_TOLERANCE_M;
+  }
+
+  // start opening (or reverse a closing door); only possible when the car stands level at a floor.
+  // kind = what the stop answers; the dwell is armed once the doors are fully open (stepDoors).
+  openDoors(kind = 'hall') {
+    // jammed doors (holdDoor) stay as they are until a technician frees them (releaseDoors)
+    if (this.components.door < 5 || this.holdDoor) return false;
+    // Phase II doors only answer the constant-pressure buttons (stepFireDoors); a broken safety
+    // chain keeps them shut
+    if (this.serviceMode === 'fire2' || this.trip) return false;
+    if (this.door === DoorState.OPEN || this.door === DoorState.OPENING) return true;
+    if (!this.atRest()) return false;
+    if (this.door === DoorState.LOCKED) { this.arrivalTs = this.clock.now(); this.stopKind = kind; }
+    this.door = DoorState.OPENING;
+    this.doorLockAt = null;
+    this.state = EState.DOOR_OPEN;
+    this.sink('lift:door', { state: 'opening', car: this.id });
+    return true;
+  }
+
+  // start closing and clear the auto-close deadline
+  closeDoors(auto = false) {
+    if (this.components.door < 5 || this.holdDoor) return false;
+    this.autoCloseAt = null;
+    if (this.door !== DoorState.OPEN && this.door !== DoorState.OPENING) return true;
+    // an overloaded car keeps its doors open
+    if (this.overloaded) return false;
+    this.door = DoorState.CLOSING;
+    this.nudging = this.obstructions >= (this.cfg.doorNudgeAfter ?? 3);
+    const detail = { state: this.nudging ? 'nudging' : 'closing', car: this.id };
+    this.sink('lift:door', auto ? { ...detail, auto: true, afterMs: this.clock.now() - (this.openedAt ?? this.clock.now()) } : detail);
+    return true;
+  }
+
+  // base dwell for what the stop answers: hall call (autoCloseMs), car call, or both
+  baseDwellMs() {
+    const d = this.cfg.doorDwell || DEFAULT_CFG.doorDwell;
+    const hall = Number(this.autoCloseMs) || 10000;
+    if (this.stopKind === 'car') return d.carCallMs;
+    return this.stopKind === 'both' ? Math.max(hall, d.carCallMs) + d.bothExtraMs : hall;
+  }
+
+  // close deadline `ms` from now, kept within [minMs, maxMs] of the doors opening fully
+  dwellUntil(ms) {
+    const d = this.cfg.doorDwell || DEFAULT_CFG.doorDwell;
+    const now = this.clock.now(), from = this.openedAt ?? now;
+    return clamp(now + ms, from + d.minMs, from + d.maxMs);
+  }
+
+  // CLOSE button: cut the dwell short, but never below minMs; stepDoors still waits for the doorway to clear
+  requestClose() {
+    if (this.components.door < 5 || this.holdDoor || this.onFireService) return false;
+    if (this.door === DoorState.OPENING) { this.closeRequested = true; return true; }
+    if (this.door !== DoorState.OPEN) return this.door === DoorState.CLOSING;
+    this.autoCloseAt = Math.min(this.autoCloseAt ?? Infinity, this.dwellUntil(0));
+    return true;
+  }
+
+  // doors held by a jam are freed (a technician visit); jammed-open doors get a fresh dwell
+  releaseDoors() {
+    this.holdDoor = false;
+    this.rearmDwell();
+    // a battery rescue that stopped behind jammed doors lets the riders out now
+    if (this.rescue?.phase === 'jammed' && this.openDoors('car')) this.finishRescue();
+  }
+
+  // doors left standing open without a deadline get a fresh dwell
+  rearmDwell() {
+    if (this.door === DoorState.OPEN && this.autoCloseAt === null) this.autoCloseAt = this.dwellUntil(this.baseDwellMs());
+  }
+
+  // Phase I: head non-stop to `floor`; doors that are not shut close at once, with the light curtain off
+  recall(floor) {
+    this.autoCloseAt = null;
+    if (this.atRest() && this.metersToFloor(this.position) === floor) {
+      this.queue = [];
+      this.openDoors('car');
+      return;
+    }
+    this.queue = [{ floor, kind: 'car', ts: this.clock.now() }];
+    if (!this.holdDoor && (this.door === DoorState.OPEN || this.door === DoorState.OPENING)) {
+      this.door = DoorState.CLOSING;
+      this.sink('lift:door', { state: 'closing', car: this.id });
+    }
+  }
+
+  // power failure: stop dead (stepRescue brakes) and drop every stop; doors standing open stay open
+  startRescue(now, trapped) {
+    this.rescue = { phase: 'braking', since: now, stoppedAt: null, prevMode: this.serviceMode, trapped };
+    this.serviceMode = 'power';
+    this.queue = [];
+    this.plan = null;
+    this.targetFloor = null;
+    this.autoCloseAt = null;
+    if (this.door === DoorState.CLOSING) {
+      this.door = DoorState.OPENING;
+      this.sink('lift:door', { state: 'opening', car: this.id });
+    }
+  }
+
+  // nearest floor this car serves in the lighter direction: down when the loaded car outweighs the
+  // counterweight, up otherwise (the other way when there is no floor that way)
+  rescueFloor() {
+    const p = this.cfg.power || DEFAULT_CFG.power;
+    let below = null, above = null;
+    for (let f = 0; f < this.floors; f++) {
+      if (!this.serves(f)) continue;
+      if (this.floorToMeters(f) <= this.position) below = f;
+      else if (above === null) above = f;
+    }
+    const down = this.loadKg > this.ratedLoadKg * p.counterweightShare;
+    return down ? below ?? above : above ?? below;
+  }
+
+  // battery rescue: emergency stop, a pause, then a slow trip to rescueFloor run by the normal motion
+  // code (returns false for those steps); parked cars wait with the doors open
+  stepRescue(dt) {
+    const r = this.rescue, p = this.cfg.power || DEFAULT_CFG.power, now = this.clock.now();
+    if (r.phase === 'braking') {
+      if (this.brakeToStop(p.emergencyDecelMps2, dt)) {
+        this.state = EState.IDLE;
+        r.phase = 'stopped';
+        r.stoppedAt = now;
+      }
+      this.position = clamp(this.position, 0, this.floorToMeters(this.floors - 1));
+      return true;
+    }
+    if (r.phase === 'stopped') {
+      if (now < r.stoppedAt + p.rescueDelayS * 1000) return true;
+      r.phase = 'moving';
+      // already level with the doors open: nobody is trapped
+      if (this.atRest() && this.doorsOpen) { this.finishRescue(); return true; }
+      this.queue = [{ floor: this.atRest() ? this.metersToFloor(this.position) : this.rescueFloor(), kind: 'car', ts: now }];
+      return false;
+    }
+    return r.phase !== 'moving';
+  }
+
+  // constant deceleration to rest, off the S-curve plan; true once stopped
+  brakeToStop(decel, dt) {
+    const v = this.velocity, dv = decel * dt;
+    this.plan = null;
+    if (Math.abs(v) <= dv) {
+      this.position += (v * dt) / 2;
+      this.velocity = 0; this.acceleration = 0;
+      return true;
+    }
+    const v1 = v - Math.sign(v) * dv;
+    this.position += ((v + v1) / 2) * dt;
+    this.velocity = v1;
+    this.acceleration = -Math.sign(v) * decel;
+    return false;
+  }
+
+  // a car left between floors (or past an end landing) creeps to the nearest one
+  relevel() {
+    const f = clamp(this.metersToFloor(this.position), 0, this.floors - 1);
+    if (!this.queue.length && Math.abs(this.position - this.floorToMeters(f)) >= LEVEL_TOLERANCE_M) {
+      this.queue.push({ floor: f, kind: 'car', ts: this.clock.now() });
+    }
+  }
+
+  // level at the rescue floor; doors jammed shut keep the riders in until releaseDoors
+  finishRescue() {
+    this.rescue.phase = this.doorsOpen ? 'parked' : 'jammed';
+    if (this.env.carRescued) this.env.carRescued(this);
+  }
+
+  // power is back: the car returns to the service it was in; one left between floors relevels
+  endRescue() {
+    const prev = this.rescue.prevMode;
+    this.rescue = null;
+    this.serviceMode = prev;
+    this.relevel();
+    this.rearmDwell();
+  }
+
+  // safety chain broken (SafetyChain.trip): brake or safety gear stop the car, every stop is dropped
+  tripSafety(device, decel) {
+    this.trip = { device, decel, phase: 'stopping', ts: this.clock.now(), prevMode: this.serviceMode };
+    this.serviceMode = 'emergency';
+    this.queue = [];
+    this.targetFloor = null;
+    this.autoCloseAt = null;
+    this.state = EState.EMERGENCY;
+  }
+
+  stepTrip(dt) {
+    if (this.trip.phase === 'stopping' && this.brakeToStop(this.trip.decel, dt)) this.trip.phase = 'stopped';
+    this.state = EState.EMERGENCY;
+  }
+
+  // manual reset: back to the previous service, levelling first when stopped between floors
+  resetSafety() {
+    this.serviceMode = this.trip.prevMode;
+    this.trip = null;
+    this.state = EState.IDLE;
+    this.relevel();
+    this.rearmDwell();
+  }
+
+  // injected drive faults take the car off its plan: 'runaway' keeps accelerating, 'overtravel'
+  // runs on at rated speed through the end landing. Only a car already moving is affected.
+  stepFaultDrive(dt) {
+    const runaway = this.faults.includes('runaway'), over = this.faults.includes('overtravel');
+    if ((!runaway && !over) || (!this.plan && Math.abs(this.velocity) < 0.01)) return false;
+    const dir = this.plan ? this.plan.dir : Math.sign(this.velocity);
+    const a = this.cfg.physics.accelLimit;
+    const v0 = this.velocity;
+    this.velocity = runaway ? v0 + dir * a * dt : dir * Math.min(this.maxSpeedMps, Math.abs(v0) + a * dt);
+    this.acceleration = (this.velocity - v0) / dt;
+    this.position += ((v0 + this.velocity) / 2) * dt;
+    this.plan = null;
+    this.state = EState.MOVING;
+    return true;
+  }
+
+  leaveFireService() {
+    this.serviceMode = 'normal';
+    this.fireKey = 'off';
+    this.doorButton = null;
+    this.fireDoorDriver = null;
+    this.rearmDwell();
+  }
+
+  // Phase II door buttons: pressed = held down, false = let go
+  pressFireDoor(button, pressed) {
+    if (this.serviceMode !== 'fire2' || (button !== 'open' && button !== 'close')) return false;
+    if (pressed) this.doorButton = button;
+    else if (this.doorButton === button) this.doorButton = null;
+    return true;
+  }
+
+  // Phase II constant-pressure doors: they move only while OPEN / CLOSE is held; let go early and an
+  // opening door closes again, a closing one reopens
+  stepFireDoors() {
+    const b = this.doorButton, d = this.door;
+    if (b === 'open' && this.fireDoorDriver !== 'open' && d !== DoorState.OPEN && this.atRest()) this.driveFireDoors(DoorState.OPENING, 'open');
+    else if (b === 'close' && this.fireDoorDriver !== 'close' && (d === DoorState.OPEN || d === DoorState.OPENING)) this.driveFireDoors(DoorState.CLOSING, 'close');
+    else if (b !== 'open' && d === DoorState.OPENING && this.fireDoorDriver === 'open') this.driveFireDoors(DoorState.CLOSING, null);
+    else if (b !== 'close' && d === DoorState.CLOSING && this.fireDoorDriver === 'close') this.driveFireDoors(DoorState.OPENING, null);
+  }
+
+  driveFireDoors(door, driver) {
+    this.fireDoorDriver = driver;
+    if (this.door === door) return;
+    this.door = door;
+    this.doorLockAt = null;
+    if (door === DoorState.OPENING) this.state = EState.DOOR_OPEN;
+    this.sink('lift:door', { state: door === DoorState.OPENING ? 'opening' : 'closing', car: this.id });
+  }
+
+  // a car leaving service parks once nobody is aboard and it stands locked at a floor
+  readyToPark() {
+    return !this.riders.length && !this.playerInside && this.door === DoorState.LOCKED && this.atRest();
+  }
+
+  park() {
+    this.serviceMode = 'out';
+    this.queue = [];
+    this.targetFloor = null;
+    this.direction = null;
+    this.state = EState.OUT_OF_SERVICE;
+  }
+
+  returnToService() {
+    this.serviceMode = 'normal';
+    if (this.state === EState.OUT_OF_SERVICE) this.state = EState.IDLE;
+  }
+
+  // light curtain broken by someone passing the doorway: a closing door reverses, an open one restarts
+  // its dwell. A nudging close ignores the curtain (returns false: nobody gets through).
+  obstruct(who = 'Passenger') {
+    if (this.door === DoorState.CLOSING) {
+      // no reopening on a nudging close, nor under fire service (smoke can blind the curtain)
+      if (this.nudging || this.onFireService) return false;
+      this.obstructions++;
+      this.door = DoorState.OPENING;
+      this.lastPassTs = this.clock.now();
+      this.sink('lift:door', { state: 'obstructed', car: this.id, who, count: this.obstructions });
+      return true;
+    }
+    if (this.door !== DoorState.OPEN && this.door !== DoorState.OPENING) return false;
+    this.lastPassTs = this.clock.now();
+    // the shorter dwell after the last person (a pending CLOSE press keeps its earlier deadline)
+    if (this.door === DoorState.OPEN && this.autoCloseAt !== null) {
+      const after = this.dwellUntil((this.cfg.doorDwell || DEFAULT_CFG.doorDwell).afterLastMs);
+      this.autoCloseAt = this.closeRequested ? Math.min(this.autoCloseAt, after) : after;
+    }
+    return true;
+  }
+
+  // door operator, run every step
+  stepDoors(dt) {
+    const now = this.clock.now();
+    if (this.serviceMode === 'fire2') this.stepFireDoors();
+    const rate = (1 / this.doorSpeed) * (0.5 + (this.components.door / 100) * 0.8) * (this.nudging ? 0.35 : 1);
+    if (this.door === DoorState.OPENING) {
+      this.doorProgress = clamp(this.doorProgress + rate * dt, 0, 1);
+      if (this.doorProgress >= 1) {
+        this.door = DoorState.OPEN;
+        this.openedAt = now;
+        // reopened for someone in the doorway: only the dwell after the last person. Under fire
+        // service or after a power-failure rescue the doors stay open
+        const d = this.cfg.doorDwell || DEFAULT_CFG.doorDwell;
+        this.autoCloseAt = this.onFireService || this.rescue ? null : this.dwellUntil(this.closeRequested ? 0 : this.obstructions ? d.afterLastMs : this.baseDwellMs());
+        this.sink('lift:door', { state: 'open', car: this.id });
+      }
+    } else if (this.door === DoorState.OPEN) {
+      // close once the dwell is over and nobody is still passing the doorway
+      const clear = this.lastPassTs === null || now - this.lastPassTs >= this.doorCooldownMs;
+      if (this.autoCloseAt !== null && now >= this.autoCloseAt && clear && !this.overloaded) this.closeDoors(true);
+    } else if (this.door === DoorState.CLOSING) {
+      this.doorProgress = clamp(this.doorProgress - rate * dt, 0, 1);
+      if (this.doorProgress <= 0) {
+        this.door = DoorState.CLOSED;
+        this.doorLockAt = now + (this.cfg.doorLockMs ?? 300);
+        this.state = EState.DOOR_CLOSED;
+        this.sink('lift:door', { state: 'closed', car: this.id });
+      }
+    } else if (this.door === DoorState.CLOSED && now >= this.doorLockAt) {
+      this.door = DoorState.LOCKED;
+      this.doorLockAt = null;
+      this.obstructions = 0;
+      this.nudging = false;
+      this.closeRequested = false;
+      this.fireDoorDriver = null;
+    }
+  }
+
+  enterPlayer(weight) {
+    const now = this.clock.now();
+    if (!this.doorsOpen) return false;         // require doors open
+    if (this.playerInside) return false;
+    if (now - this.lastDoorActionMs < this.doorCooldownMs) return false;
+    if (!this.obstruct('Passenger')) return false;   // stepping through the light curtain
+    this.loadKg += weight;
+    this.playerInside = true;
+    this.lastDoorActionMs = now;
+    return true;
+  }
+
+  exitPlayer(weight) {
+    const now = this.clock.now();
+    if (!this.doorsOpen) return false;
+    if (!this.playerInside) return false;
+    if (now - this.lastDoorActionMs < this.doorCooldownMs) return false;
+    if (!this.obstruct('Passenger')) return false;
+    this.loadKg = Math.max(0, this.loadKg - weight);
+    this.playerInside = false;
+    this.lastDoorActionMs = now;
+    return true;
+  }
+
+  tryEnterOnce(actionKey, weight) {
+    if (this._lastManualActionKey === actionKey && (this.clock.now() - this._lastManualActionTs) < 2500) return false;
+    const ok = this.enterPlayer(weight);
+    if (ok) { this._lastManualActionKey = actionKey; this._lastManualActionTs = this.clock.now(); }
+    return ok;
+  }
+
+  tryExitOnce(actionKey, weight) {
+    if (this._lastManualActionKey === actionKey && (this.clock.now() - this._lastManualActionTs) < 2500) return false;
+    const ok = this.exitPlayer(weight);
+    if (ok) { this._lastManualActionKey = actionKey; this._lastManualActionTs = this.clock.now(); }
+    return ok;
+  }
+
+  // strategy in charge of this car: the world's current one (sim/dispatch.js)
+  get strategy() { return this.env.strategy || getStrategy(DEFAULT_STRATEGY); }
+
+  // frozen view of this car, its stops and the open hall calls, handed to the dispatch strategy
+  snapshot() {
+    const v = this.velocity, physics = this.cfg.physics;
+    const car = Object.freeze({
+      id: this.id, floor: this.metersToFloor(this.position), position: this.position, velocity: v,
+      direction: this.direction, targetFloor: this.targetFloor, doorsOpen: this.doorsOpen,
+      loadKg: this.loadKg, capacityKg: this.ratedLoadKg, maxSpeedMps: this.maxSpeedMps,
+      accelLimit: physics.accelLimit, brakeLimit: physics.brakeLimit, jerkLimit: physics.jerkLimit,
+      brakingDist: this.stoppingDistance(), dwellS: this.autoCloseMs / 1000,
+      servedFloors: this.servedFloors && Object.freeze(this.servedFloors.slice())
+    });
+    const open = (this.env.calls || []).filter(c => c.status === 'pending' || c.status === 'assigned');
+    return Object.freeze({
+      now: this.clock.now(),
+      floors: this.floors,
+      car,
+      queue: Object.freeze(this.queue.map(s => Object.freeze({ ...s }))),
+      calls: Object.freeze(open.map(c => Object.freeze({ ...c }))),
+      floorToMeters: f => this.floorToMeters(f)
+    });
+  }
+
+  // a worn motor (below maintenance.degradedBelow) loses up to half its top speed; the battery
+  // rescue drive runs at its own low speed
+  motionLimits() {
+    const physics = this.cfg.physics, m = this.cfg.maintenance || DEFAULT_CFG.maintenance;
+    if (this.rescue) {
+      const p = this.cfg.power || DEFAULT_CFG.power;
+      return { vmax: p.rescueSpeedMps, accel: p.rescueAccelMps2, brake: p.rescueAccelMps2, jerk: physics.jerkLimit };
+    }
+    const weak = clamp(this.components.motor / m.degradedBelow, 0, 1);
+    return { vmax: this.maxSpeedMps * (0.5 + weak / 2), accel: physics.accelLimit, brake: physics.brakeLimit, jerk: physics.jerkLimit };
+  }
+
+  // a worn motor misses the floor level by up to levellingErrorM, drawn once per stop from world.rng
+  levellingError(floor) {
+    const m = this.cfg.maintenance || DEFAULT_CFG.maintenance;
+    if (this.components.motor >= m.degradedBelow || !this.env.rng) return 0;
+    if (!this.levelError || this.levelError.floor !== floor) {
+      this.levelError = { floor, m: this.env.rng.range(-1, 1) * m.levellingErrorM * (1 - this.components.motor / m.degradedBelow) };
+    }
+    return this.levelError.m;
+  }
+
+  // metres the car needs to come to rest from its current speed and acceleration (jerk-limited)
+  stoppingDistance() {
+    const sgn = Math.sign(this.velocity);
+    return sgn ? Math.max(0, stoppingDistance(this.velocity * sgn, this.acceleration * sgn, this.motionLimits())) : 0;
+  }
+
+  // a stop the car can still level at: anywhere when standing, else ahead beyond stopping distance
+  canStopAt(floor) {
+    const v = this.velocity;
+    if (Math.abs(v) < 0.05) return true;
+    const relM = (this.floorToMeters(floor) - this.position) * Math.sign(v);
+    return relM >= this.stoppingDistance();
+  }
+
+  // plan the whole S-curve from the current position, speed and acceleration to the target floor
+  replan() {
+    const rel = this.floorToMeters(this.targetFloor) + this.levellingError(this.targetFloor) - this.position;
+    const dir = Math.sign(rel) || Math.sign(this.velocity) || 1;
+    const v0 = this.velocity * dir, a0 = this.acceleration * dir;
+    this.plan = { target: this.targetFloor, dir, x0: this.position, v0, a0, t: 0, ...planStop(Math.abs(rel), v0, a0, this.motionLimits()) };
+  }
+
+  // next stop from the strategy, re-evaluated every step; answers that are not a registered stop
+  // are ignored, and a moving car keeps its target rather than switch to one it cannot brake for
+  chooseStop() {
+    if (!this.queue.length) return null;
+    let pick = null;
+    try { pick = normalizePick(this.strategy.nextStop(this.snapshot())); } catch (err) { console.warn('dispatch strategy failed', err); }
+    if (pick && !this.queue.some(s => s.floor === pick.floor)) pick = null;
+    const keep = this.targetFloor !== null && this.queue.some(s => s.floor === this.targetFloor);
+    if (keep && (!pick || (pick.floor !== this.targetFloor && !this.canStopAt(pick.floor)))) return { floor: this.targetFloor, dir: this.direction };
+    return pick;
+  }
+
+  // direction the car will leave `floor` in; decides which hall call the stop answers
+  departureDir(floor) {
+    const here = kind => this.queue.some(s => s.floor === floor && s.kind === kind);
+    const others = this.queue.filter(s => s.floor !== floor);
+    const dir = this.direction;
+    if (dir) {
+      const sgn = dir === 'up' ? 1 : -1;
+      const opp = dir === 'up' ? 'down' : 'up';
+      if (here(dir) || others.some(s => (s.floor - floor) * sgn > 0)) return dir;
+      if (here(opp) || others.length) return opp;
+      return null;
+    }
+    if (here('up')) return 'up';
+    if (here('down')) return 'down';
+    if (others.length) return nearestStop(others, s => Math.abs(s.floor - floor)).floor > floor ? 'up' : 'down';
+    return null;
+  }
+
+  step(dt) {
+    this.stepDoors(dt);
+
+    if (this.trip) { this.stepTrip(dt); return; }
+    if (this.state === EState.EMERGENCY) { this.plan = null; return; }
+    if (this.serviceMode === 'out') { this.plan = null; this.state = EState.OUT_OF_SERVICE; return; }
+    if (this.rescue && this.stepRescue(dt)) return;
+
+    // the car only moves with the doors closed and locked
+    if (this.door !== DoorState.LOCKED) {
+      this.velocity = 0;
+      this.acceleration = 0;
+      this.plan = null;
+      if (this.doorsOpen) this.state = EState.DOOR_OPEN;
+      return;
+    }
+
+    if (this.faults.length && this.stepFaultDrive(dt)) return;
+
+    // a door jammed shut stops the car at the next floor it reaches; it waits there for the technician
+    // (the battery rescue drive still takes it to its rescue floor)
+    if (this.holdDoor && !this.plan && !this.rescue) {
+      this.velocity = 0;
+      this.acceleration = 0;
+      this.targetFloor = null;
+      return;
+    }
+
+    // movement (doors locked); the next stop is replanned every step
+    const pick = this.chooseStop();
+    this.targetFloor = pick ? pick.floor : null;
+    this.direction = pick ? pick.dir : null;
+    if (this.targetFloor === null) {
+      // idle damping
+      this.plan = null;
+      this.acceleration = -this.velocity * 1.8;
+      this.velocity += this.acceleration * dt;
+      this.position += this.velocity * dt;
+      if (Math.abs(this.velocity) < 0.01) { this.velocity = 0; this.acceleration = 0; this.state = EState.IDLE; }
+      return;
+    }
+
+    // follow the S-curve; a new target (e.g. a closer stop chooseStop found still reachable) is
+    // planned from the current state so position, speed and acceleration stay continuous
+    if (!this.plan || this.plan.target !== this.targetFloor) this.replan();
+    const plan = this.plan;
+    plan.t = Math.min(plan.t + dt, plan.duration);
+    const st = sampleProfile(plan.segs, plan.t, 0, plan.v0, plan.a0);
+    this.position = plan.x0 + plan.dir * st.x;
+    this.velocity = plan.dir * st.v;
+    this.acceleration = plan.dir * st.a;
+    this.state = EState.MOVING;
+    if (plan.t < plan.duration) return;
+    this.plan = null;
+    this.velocity = 0; this.acceleration = 0;
+    // braked to rest short of a stop that was already too close: plan again from standstill
+    if (!plan.reach) return;
+    // stopped off level (worn motor): relevel with a short creep planned from here
+    const miss = this.floorToMeters(this.targetFloor) - this.position;
+    if (Math.abs(miss) > LEVEL_TOLERANCE_M) {
+      this.levelError = { floor: this.targetFloor, m: 0 };
+      if (this.env.log) this.env.log(t('core.relevel', { car: this.env.carTag ? this.env.carTag(this) : '', floor: this.env.floorLabel ? this.env.floorLabel(this.targetFloor) : this.targetFloor, mm: Math.round(Math.abs(miss) * 1000) }));
+      return;
+    }
+
+    // arrival: the profile ends at rest on the floor; snap away rounding error
+    this.levelError = null;
+    this.position = this.floorToMeters(this.targetFloor);
+    this.arrivalFloor = this.targetFloor;
+    this.targetFloor = null;
+    this.state = EState.ARRIVED;
+    // clear the car call and only the hall call for the direction the car leaves in
+    // (non-directional strategies answer both hall calls at once)
+    this.direction = this.departureDir(this.arrivalFloor);
+    const both = !this.strategy.directional || !this.direction;
+    const cleared = s => s.floor === this.arrivalFloor && (both || s.kind === 'car' || s.kind === this.direction);
+    const hall = this.queue.some(s => cleared(s) && s.kind !== 'car'), car = this.queue.some(s => cleared(s) && s.kind === 'car');
+    this.queue = this.queue.filter(s => !cleared(s));
+    // open doors; the dwell depends on what the stop answered. Under Phase II every car call is
+    // cancelled at a stop and the doors wait for the firefighter's button
+    if (this.serviceMode === 'fire2') this.queue = [];
+    else this.openDoors(hall && car ? 'both' : car ? 'car' : 'hall');
+    if (this.rescue) this.finishRescue();
+    if (this.env.carArrived) this.env.carArrived(this, this.arrivalFloor);
+    this.sink('lift:arrived', { floor: this.arrivalFloor, car: this.id, dir: this.direction });
+  }
+
+  serialize() {
+    return {
+      id: this.id, pos: this.position, vel: this.velocity, acc: this.acceleration, target: this.targetFloor, queue: this.queue.map(q => ({ ...q })), dir: this.direction,
+      door: this.door, doorProg: this.doorProgress, doorLockAt: this.doorLockAt, obstructions: this.obstructions, nudging: this.nudging, loadKg: this.loadKg, riders: this.riders.map(p => p.serialize()), playerInside: this.playerInside,
+      components: { ...this.components }, serviceMode: this.serviceMode, rescue: this.rescue && { ...this.rescue }, trip: this.trip && { ...this.trip }, faults: this.faults.slice(), fireKey: this.fireKey, doorButton: this.doorButton, fireDoorDriver: this.fireDoorDriver, levelError: this.levelError && { ...this.levelError }, state: this.state, arrivalFloor: this.arrivalFloor, arrivalTs: this.arrivalTs,
+      lastDoorActionMs: this.lastDoorActionMs, holdDoor: !!this.holdDoor,
+      _lastManualActionKey: this._lastManualActionKey, _lastManualActionTs: this._lastManualActionTs,
+      autoCloseMs: this.autoCloseMs, autoCloseAt: this.autoCloseAt,
+      stopKind: this.stopKind, openedAt: this.openedAt, lastPassTs: this.lastPassTs, closeRequested: this.closeRequested,
+      plan: this.plan && { ...this.plan, segs: this.plan.segs.map(g => ({ ...g })) }
+    };
+  }
+
+  static deserialize(obj, env, floors, initial, spec) {
+    const e = new Elevator(env, floors, initial, spec);
+    if (!obj) return e;
+    e.position = obj.pos ?? e.position;
+    e.velocity = obj.vel ?? 0;
+    e.acceleration = obj.acc ?? 0;
+    e.targetFloor = obj.target ?? null;
+    e.plan = obj.plan ? { ...obj.plan, segs: obj.plan.segs.map(g => ({ ...g })) } : null;
+    // older saves kept bare floor numbers (and the target outside the queue): treat them as car calls
+    const stops = (obj.queue || []).map(q => (typeof q === 'number' ? { floor: q, kind: 'car', ts: 0 } : { ...q, ts: q.ts ?? 0 }));
+    if (typeof obj.target === 'number' && !stops.some(q => q.floor === obj.target)) stops.push({ floor: obj.target, kind: 'car', ts: 0 });
+    e.queue = stops.filter(q => e.serves(q.floor));
+    e.direction = obj.dir ?? null;
+    // older saves only had a doorsOpen flag
+    e.door = DoorState[obj.door] || (obj.doorsOpen ? DoorState.OPEN : DoorState.LOCKED);
+    e.doorProgress = obj.doorProg ?? (e.door === DoorState.OPEN ? 1 : 0);
+    e.doorLockAt = obj.doorLockAt ?? (e.door === DoorState.CLOSED ? env.clock.now() : null);
+    e.obstructions = obj.obstructions ?? 0;
+    e.nudging = !!obj.nudging;
+    e.playerInside = !!obj.playerInside;
+    // older saves carried anonymous NPC kilograms with no riders behind them: drop that weight
+    e.riders = Array.isArray(obj.riders) ? obj.riders.map(Passenger.deserialize) : [];
+    e.loadKg = Array.isArray(obj.riders) ? obj.loadKg ?? 0 : (e.playerInside ? env.cfg.passengerWeightKg : 0);
+    e.components = obj.components ? { ...obj.components } : e.components;
+    e.serviceMode = obj.serviceMode || 'normal';
+    e.rescue = obj.rescue ? { ...obj.rescue } : null;
+    e.trip = obj.trip ? { ...obj.trip } : null;
+    e.faults = obj.faults || [];
+    e.fireKey = obj.fireKey || 'off';
+    e.doorButton = obj.doorButton ?? null;
+    e.fireDoorDriver = obj.fireDoorDriver ?? null;
+    e.levelError = obj.levelError ? { ...obj.levelError } : null;
+    e.state = obj.state || e.state;
+    e.arrivalFloor = obj.arrivalFloor ?? null;
+    e.arrivalTs = obj.arrivalTs ?? 0;
+    e.lastDoorActionMs = obj.lastDoorActionMs ?? 0;
+    e.holdDoor = !!obj.holdDoor;
+    e._lastManualActionKey = obj._lastManualActionKey ?? null;
+    e._lastManualActionTs = obj._lastManualActionTs ?? 0;
+    e.autoCloseMs = obj.autoCloseMs ?? env.cfg.doorAutoCloseMs ?? e.autoCloseMs;
+    // older saves had a wall-clock timer that was lost on reload: re-arm it
+    e.autoCloseAt = 'autoCloseAt' in obj ? obj.autoCloseAt : (e.doorsOpen ? env.clock.now() + e.autoCloseMs : null);
+    e.stopKind = obj.stopKind || 'hall';
+    e.openedAt = obj.openedAt ?? null;
+    e.lastPassTs = obj.lastPassTs ?? null;
+    e.closeRequested = !!obj.closeRequested;
+    return e;
+  }
+}
+
+/* -------------------------
+   Player inputs (World.input)
+   The only way UI code changes the world; each entry is (world, args) => result
+------------------------- */
+const PLAYER_INPUTS = {
+  call: (w, a) => w.playerCall(a.floor, a.dir),
+  carCall: (w, a) => w.playerCarCall(a.floor),
+  doorOpen: (w) => (w.playerCar() || w.elev).openDoors(),
+  doorClose: (w) => (w.playerCar() || w.elev).requestClose(),
+  enter: (w, a) => w.playerEnter(a.car),
+  exit: (w) => w.playerExit(),
+  dispatch: (w, a) => w.setStrategy(a.id),
+  // fire service (sim/fire.js): smoke detector, alarm reset, Phase II key switch and door buttons
+  smoke: (w, a) => w.fire.detectSmoke(w, a.floor),
+  fireReset: (w) => w.fire.reset(w),
+  fireKey: (w, a) => w.fire.key(w, w.playerCar() || w.elev, a.pos),
+  fireDoor: (w, a) => (w.playerCar() || w.elev).pressFireDoor(a.button, !!a.pressed),
+  // card reader in the car (sim/access.js): the player's card, or the given card groups
+  tapCard: (w, a) => w.access.tap(w, w.playerCar() || w.elev, a.cards),
+  // cut mains power now (a 'power_loss' event); durationS = outage length, random when omitted
+  powerCut: (w, a) => { w.scheduled.push({ ts: w.clock.now(), type: 'power_loss', payload: { durationS: a.durationS ?? null } }); return true; },
+  powerRestore: (w) => w.power.restore(w),
+  // service panel: inject / clear a safety fault (sim/safety.js) and reset a tripped chain
+  safetyFault: (w, a) => w.safety.fault(w, w.carById(a.car) || w.elev, a.fault, a.active ?? true),
+  safetyReset: (w, a) => w.safety.reset(w, w.carById(a.car) || w.elev),
+  // ALARM button: intercom session with the help desk for the player's car (or the followed one)
+  alarm: (w, a) => w.intercom.alarm(w, w.carById(a.car) || w.playerCar() || w.elev)
+};
+
+/* -------------------------
+   World: the car bank, hall calls and dispatch, simulated passengers (traffic, boarding), the
+   player's inputs and the building services (fire, power, safety, maintenance, intercom)
+   new World({ cfg, clock, sink })
+   - cfg:   resolved config (see resolveConfig)
+   - clock: { now() } in ms; advance(ms) is called each step when present
+   - sink:  (eventName, detail) => void, receives lift:* events and lift:log lines
+------------------------- */
+export class World {
+  constructor({ cfg, clock, sink } = {}) {
+    this.cfg = cfg || resolveConfig();
+    this.clock = clock || wallClock;
+    this.sink = sink || noopSink;
+    this.rng = new Rng(this.cfg.seed ?? randomSeed());
+    this.strategy = getStrategy(this.cfg.dispatch) || getStrategy(DEFAULT_STRATEGY);
+    if (this.strategy.id !== this.cfg.dispatch) console.warn(`Unknown dispatch strategy "${this.cfg.dispatch}", using ${this.strategy.id}`);
+    // landing heights (m) by floor (cfg.floorElevations or uniform floorHeightMeters)
+    this.elevations = floorElevations(this.cfg);
+    // set by a Recorder (sim/recorder.js) while a session is being captured
+    this.recorder = null;
+    this.cars = carSpecs(this.cfg).map(spec => new Elevator(this, this.cfg.floors, spec.initialFloor, spec));
+    // index of the car the passenger view follows: the one the player rides, was sent, or can board
+    this.focusCar = 0;
+    this.playerFloor = this.cfg.initialFloor;
+    this.playerRequestedFloor = null;
+    this.calls = [];
+    // waiting Passenger objects per floor, in arrival order; finished trips (newest last, capped)
+    this.hallQueues = Array.from({ length: this.cfg.floors }, () => []);
+    this.completedTrips = [];
+    this.passengerSeq = 0;
+    this.traffic = new TrafficGenerator(this.cfg);
+    this.metrics = new Metrics(this.clock.now(), this.cfg.metricsMaxSamples);
+    this.maintenance = new Maintenance(this.cfg);
+    this.fire = new FireService(this.cfg);
+    this.power = new PowerSupply(this.cfg);
+    this.safety = new SafetyChain(this.cfg);
+    this.load = new LoadWeighing(this.cfg);
+    this.intercom = new Intercom(this.cfg);
+    this.access = new AccessControl(this.cfg);
+    this.scheduled = [];
+    this.logs = [];
+    this.eventWindow = { start: this.clock.now(), count: 0, cap: 6 };
+    this.lastPlayerCall = { floor: null, dir: null, ts: 0 };
+  }
+
+  // the passenger-facing car (see focusCar)
+  get elev() { return this.cars[this.focusCar] || this.cars[0]; }
+
+  carById(id) { return this.cars.find(c => c.id === id) || null; }
+  playerCar() { return this.cars.find(c => c.playerInside) || null; }
+  servedByAny(floor) { return this.cars.some(c => c.serves(floor)); }
+  // floors a passenger at `origin` can ride to without changing cars (and, given their access
+  // cards, may enter now)
+  reachableFrom(origin, cards = null) {
+    const out = [];
+    for (let f = 0; f < this.cfg.floors; f++) {
+      if (f !== origin && this.cars.some(c => c.serves(origin) && c.serves(f)) && (!cards || this.access.allows(this, f, cards))) out.push(f);
+    }
+    return out;
+  }
+  // log suffix naming the car once there is a bank: "lift" vs "lift B"
+  carTag(car) { return this.cars.length > 1 ? ` ${car.id}` : ''; }
+  // floor f as shown, spoken and logged ("G", "12A", or the index)
+  floorLabel(f) { return floorLabelOf(this.cfg, f); }
+
+  log(msg) {
+    const ts = this.clock.now();
+    const line = `[${new Date(ts).toLocaleTimeString()}] ${msg}`;
+    this.logs.unshift(line);
+    if (this.logs.length > 400) this.logs.length = 400;
+    this.sink('lift:log', { msg, line, ts });
+  }
+
+  // every player action goes through here so a Recorder can capture it and a Replayer re-apply it
+  input(type, args = {}) {
+    const handler = PLAYER_INPUTS[type];
+    if (!handler) { console.warn('Unknown player input', type); return false; }
+    if (this.recorder) this.recorder.onInput(type, args);
+    return handler(this, args);
+  }
+
+  // car standing open at the player's floor (the one "Masuk" boards)
+  boardableCar() {
+    return this.cars.find(c => (c.inService || c.onFireService) && c.doorsOpen && !c.playerInside && c.metersToFloor(c.position) === this.playerFloor) || null;
+  }
+
+  // manual boarding; the action key stops a double tap from entering twice at the same stop
+  playerEnter(carId) {
+    const e = (carId !== undefined ? this.carById(carId) : this.boardableCar()) || this.elev;
+    const liftFloor = e.metersToFloor(e.position);
+    const ok = e.tryEnterOnce(`manualEnter:${liftFloor}:${Math.floor(e.arrivalTs / 1000)}`, this.cfg.passengerWeightKg);
+    if (ok) {
+      this.focusCar = this.cars.indexOf(e);
+      this.log(t('core.playerEntered', { car: this.carTag(e), floor: this.floorLabel(liftFloor) }));
+    } else this.log(t('core.enterFailed'));
+    return ok;
+  }
+
+  playerExit() {
+    const e = this.playerCar();
+    if (!e) { this.log(t('core.exitFailed')); return false; }
+    const liftFloor = e.metersToFloor(e.position);
+    const ok = e.tryExitOnce(`manualExit:${liftFloor}:${Math.floor(e.arrivalTs / 1000)}`, this.cfg.passengerWeightKg);
+    if (ok) {
+      this.playerFloor = liftFloor;
+      if (this.playerRequestedFloor === liftFloor) this.playerRequestedFloor = null;
+      this.log(t('core.playerExited', { floor: this.floorLabel(liftFloor) }));
+    } else this.log(t('core.exitFailed'));
+    return ok;
+  }
+
+  playerCarCall(floor) {
+    const e = this.playerCar() || this.elev;
+    // secured floors need a card tapped on the car's reader first
+    if (e.serves(floor) && !this.access.check(this, e, floor)) return false;
+    if (!e.requestFloor(floor)) { this.log(t('core.floorNotServedByCar', { floor: this.floorLabel(floor), car: this.carTag(e) })); return false; }
+    this.playerRequestedFloor = floor;
+    return true;
+  }
+
+  playerCall(floor, dir = 'up') {
+    const now = this.clock.now();
+    if (this.lastPlayerCall.floor === floor && this.lastPlayerCall.dir === dir && now - (this.lastPlayerCall.ts || 0) < 1800) {
+      this.log(t('core.callTooSoon'));
+      return false;
+    }
+    this.lastPlayerCall = { floor, dir, ts: now };
+    if (this.fire.active) {
+      this.log(t('core.callIgnoredFire'));
+      return false;
+    }
+    if (!this.power.on) {
+      this.log(t('core.callIgnoredPower'));
+      return false;
+    }
+    if (!this.servedByAny(floor)) {
+      this.log(t('core.floorNotServed', { floor: this.floorLabel(floor) }));
+      return false;
+    }
+    if (this.calls.some(c => c.floor === floor && c.dir === dir && (c.status === 'pending' || c.status === 'assigned'))) {
+      this.log(t('core.callRegistered', { floor: this.floorLabel(floor) }));
+      return false;
+    }
+    const id = `call-${Math.floor(now)}-${this.rng.int(10000)}`;
+    const call = { id, floor, dir, who: 'Passenger', ts: now, status: 'pending' };
+    this.calls.push(call);
+    this.log(t('core.playerCall', { dir: t(`dir.${dir}`), floor: this.floorLabel(floor) }));
+    this.sink('lift:call', { floor, dir, who: 'Passenger' });
+    return true;
+  }
+
+  requestExternalCall(floor, dir = 'up', who = 'NPC') {
+    const now = this.clock.now();
+    if (!this.servedByAny(floor) || this.fire.active || !this.power.on) return;
+    // one lit button per floor and direction, whoever pressed it
+    if (this.calls.some(c => c.floor === floor && c.dir === dir && (c.status === 'pending' || c.status === 'assigned'))) return;
+    const id = `call-${Math.floor(now)}-${this.rng.int(10000)}`;
+    const call = { id, floor, dir, who, ts: now, status: 'pending' };
+    this.calls.push(call);
+    this.log(t('core.call', { who: whoLabel(who), dir: t(`dir.${dir}`), floor: this.floorLabel(floor) }));
+    this.sink('lift:call', { floor, dir, who });
+  }
+
+  // switch the dispatch strategy at runtime (by registered id); stops already queued are kept
+  setStrategy(id) {
+    const next = getStrategy(id);
+    if (!next) { this.log(t('core.unknownStrategy', { id })); return false; }
+    this.strategy = next;
+    this.log(t('core.strategy', { label: strategyLabel(next) }));
+    return true;
+  }
+
+  // the strategy's cost of giving `call` to `car`; strategies without assignCost use the default one
+  callCost(car, call) {
+    const cost = this.strategy.assignCost || getStrategy(DEFAULT_STRATEGY).assignCost;
+    return cost(car.snapshot(), Object.freeze({ ...call }));
+  }
+
+  // hall buttons do not say where people go: only send a car that serves the destination of, and
+  // has room for, someone waiting there in that direction (the player's own call takes any serving car)
+  carSuitsWaiting(car, call) {
+    const waiting = (this.hallQueues[call.floor] || []).filter(p => p.dir === call.dir);
+    return !waiting.length || call.who === 'Passenger' || waiting.some(p => car.serves(p.destination) && car.loadKg + p.weightKg <= car.ratedLoadKg);
+  }
+
+  // a car standing at `floor` with riders for other floors has finished there: a hall call at that
+  // floor waits for it to leave rather than reopening it (the car may have shut on an overload)
+  leavingFloor(car, floor) {
+    return car.atRest() && car.metersToFloor(car.position) === floor && car.riders.some(p => p.destination !== floor);
+  }
+
+  // group controller: each pending hall call goes to the serving car with the lowest callCost
+  assignCalls() {
+    for (const call of this.calls) {
+      if (call.status !== 'pending') continue;
+      let best = null, bestCost = Infinity;
+      for (const car of this.cars) {
+        if (!car.inService || car.fullLoad || !car.serves(call.floor) || this.leavingFloor(car, call.floor) || !this.carSuitsWaiting(car, call)) continue;
+        const cost = this.callCost(car, call);
+        if (cost < bestCost) { bestCost = cost; best = car; }
+      }
+      if (!best) continue;
+      call.status = 'assigned';
+      call.assignedTs = this.clock.now();
+      call.car = best.id;
+      best.requestExternal(call.floor, call.who, call.dir);
+      if (call.who === 'Passenger' && !this.playerCar()) this.focusCar = this.cars.indexOf(best);
+      this.log(t('core.assigned', { car: this.carTag(best), floor: this.floorLabel(call.floor), who: whoLabel(call.who) }));
+    }
+  }
+
+  // a car leaving service hands its hall calls back to the group controller
+  releaseHallCalls(car) {
+    for (const c of this.calls) {
+      if (c.status !== 'assigned' || c.car !== car.id) continue;
+      c.status = 'pending';
+      c.car = null;
+    }
+    car.queue = car.queue.filter(s => s.kind === 'car');
+  }
+
+  // a car standing open at a floor serves the hall calls there (pending or assigned to it) for the
+  // direction it will leave in; an idle car takes the direction of the first call it answers.
+  // Under a non-directional strategy it serves both directions.
+  markCallServedAtFloor(floor, car = null) {
+    for (let i = 0; i < this.calls.length; i++) {
+      const c = this.calls[i];
+      if (c.floor !== floor) continue;
+      if (!(c.status === 'pending' || (c.status === 'assigned' && (!car || !c.car || c.car === car.id)))) continue;
+      if (car) {
+        if (car.strategy.directional) {
+          if (!car.direction) car.direction = c.dir;
+          if (c.dir !== car.direction) continue;
+        }
+        car.dropStop(floor, c.dir);
+      }
+      c.status = 'served';
+      c.servedTs = this.clock.now();
+      this.metrics.onCallServed(c);
+    }
+  }
+
+  // called by Elevator when a battery rescue has opened the doors at a floor
+  carRescued(car) { this.power.onRescued(this, car); }
+
+  // called by Elevator.step when a car levels at a floor
+  carArrived(car, floor) {
+    this.metrics.onArrival(car);
+    if (car.inService) this.markCallServedAtFloor(floor, car);
+    if (!this.playerCar() && floor === this.playerFloor) this.focusCar = this.cars.indexOf(car);
+  }
+
+  stepBoarding(dt) {
+    for (const e of this.cars) this.stepCarBoarding(e, dt);
+  }
+
+  stepCarBoarding(e, dt) {
+    if (e.door !== DoorState.OPEN && e.door !== DoorState.CLOSING) return;
+    const now = this.clock.now();
+    if (now - e.lastDoorActionMs < e.doorCooldownMs) return;
+
+    const liftFloor = e.metersToFloor(e.position);
+    if (e.inService) this.markCallServedAtFloor(liftFloor, e);
+
+    // one person through the door per cooldown: riders for this floor get off first (everyone, from
+    // a car leaving service), then waiting passengers going the car's way (any way when it has no
+    // direction to keep)
+    const off = e.riders.find(p => p.destination === liftFloor) || (!e.inService ? e.riders[0] : null);
+    // overloaded: the last one who got on here steps back out
+    if (!off && e.overloaded) {
+      const last = e.riders.filter(r => r.boardTs >= e.arrivalTs).pop();
+      if (last && e.obstruct(last.id) && e.door === DoorState.OPEN) this.stepBackOut(e, last, liftFloor);
+      return;
+    }
+    const goingOurWay = p => !e.direction || !e.strategy.directional || p.dir === e.direction;
+    const p = off || (e.inService && !this.load.boardingClosed(e) ? this.hallQueues[liftFloor].find(q => q.refusedBy !== e.id && goingOurWay(q) && e.serves(q.destination)) : null);
+    if (!p) return;
+    // walking into the doorway breaks the light curtain: a closing door reopens, an open one
+    // restarts its dwell; against a nudging close nobody gets through
+    if (!e.obstruct(p.id) || e.door !== DoorState.OPEN) return;
+    if (off && off.destination !== liftFloor) { this.evacuatePassenger(e, off, liftFloor); return; }
+    if (off) { this.alightPassenger(e, off, liftFloor); return; }
+    e.lastDoorActionMs = now;
+    // the reader refuses a destination secured since the passenger arrived: they take the stairs
+    if (!this.access.check(this, e, p.destination, p.id, p.cards)) { this.hallQueues[liftFloor].splice(this.hallQueues[liftFloor].indexOf(p), 1); return; }
+    this.boardPassenger(e, p, liftFloor);
+  }
+
+  // new passenger waiting at `origin` who presses the hall button; a destination is drawn from the
+  // floors reachable from there when none is given. Cards (drawn from cfg.access.npcCards when not
+  // given) limit it to floors they open. Returns null if nowhere can be reached.
+  spawnPassenger(origin, destination = null, cards = null) {
+    cards = cards ?? this.access.drawCards(this.rng);
+    const reach = this.reachableFrom(origin, cards);
+    if (!reach.length || (destination !== null && !reach.includes(destination))) return null;
+    const p = new Passenger({
+      id: `P-${++this.passengerSeq}`,
+      weightKg: Math.round(this.rng.range(50, 140)),
+      origin,
+      destination: destination ?? reach[this.rng.int(reach.length)],
+      spawnTs: this.clock.now(),
+      cards
+    });
+    this.hallQueues[origin].push(p);
+    this.requestExternalCall(origin, p.dir, p.id);
+    return p;
+  }
+
+  boardPassenger(e, p, floor) {
+    const q = this.hallQueues[floor];
+    q.splice(q.indexOf(p), 1);
+    p.boardTs = this.clock.now();
+    p.car = e.id;
+    e.riders.push(p);
+    e.loadKg += p.weightKg;
+    // an idle car takes its first rider's direction
+    if (!e.direction && e.strategy.directional) e.direction = p.dir;
+    e.requestFloor(p.destination, p.id);
+    this.metrics.onBoard(p, e);
+    this.log(t('core.boarded', { id: p.id, floor: this.floorLabel(floor), to: this.floorLabel(p.destination), kg: p.weightKg }));
+  }
+
+  alightPassenger(e, p, floor) {
+    e.riders.splice(e.riders.indexOf(p), 1);
+    e.loadKg = Math.max(0, e.loadKg - p.weightKg);
+    p.alightTs = this.clock.now();
+    e.lastDoorActionMs = p.alightTs;
+    this.completedTrips.push(p);
+    this.metrics.onAlight(p, e);
+    if (this.completedTrips.length > 500) this.completedTrips.splice(0, this.completedTrips.length - 500);
+    this.log(t('core.alighted', { id: p.id, floor: this.floorLabel(floor) }));
+  }
+
+  // overload buzzer: a rider who just got on waits in the hall for this car to leave
+  stepBackOut(e, p, floor) {
+    e.riders.splice(e.riders.indexOf(p), 1);
+    e.loadKg = Math.max(0, e.loadKg - p.weightKg);
+    e.lastDoorActionMs = this.clock.now();
+    this.metrics.onUnboard(p);
+    if (!e.riders.some(r => r.destination === p.destination)) e.dropStop(p.destination, 'car');
+    p.boardTs = null;
+    p.car = null;
+    p.refusedBy = e.id;
+    this.hallQueues[floor].unshift(p);
+    this.log(t('core.steppedBack', { id: p.id, floor: this.floorLabel(floor) }));
+  }
+
+  // a rider put off a car leaving service (or rescued after a power failure) waits in the hall for
+  // another car (the trip goes on);
+  // during a fire recall they leave the building instead
+  evacuatePassenger(e, p, floor) {
+    e.riders.splice(e.riders.indexOf(p), 1);
+    e.loadKg = Math.max(0, e.loadKg - p.weightKg);
+    e.lastDoorActionMs = this.clock.now();
+    this.metrics.onUnboard(p);
+    if (this.fire.active) { this.log(t('core.evacuatedFire', { id: p.id, floor: this.floorLabel(floor) })); return; }
+    p.origin = floor;
+    p.boardTs = null;
+    p.car = null;
+    this.hallQueues[floor].push(p);
+    this.log(t(this.power.on ? 'core.evacuatedOut' : 'core.evacuatedPower', { id: p.id, floor: this.floorLabel(floor), car: this.carTag(e) }));
+    this.requestExternalCall(floor, p.dir, p.id);
+  }
+
+  // people left behind (doors closed first, car full, car going the other way) press again:
+  // hall buttons with nobody answering, and car buttons for destinations no longer registered.
+  // Someone turned away by a full car waits for that car to leave first.
+  stepPassengerCalls() {
+    for (let f = 0; f < this.hallQueues.length; f++) {
+      const waiting = this.hallQueues[f];
+      if (!waiting.length) continue;
+      const standing = this.cars.filter(c => c.inService && Math.abs(c.velocity) < 0.05 && c.metersToFloor(c.position) === f && Math.abs(c.position - c.floorToMeters(f)) < 0.03);
+      if (standing.some(c => c.doorsOpen)) continue;
+      for (const p of waiting) {
+        if (p.refusedBy !== null) {
+          if (standing.some(c => c.id === p.refusedBy)) continue;
+          // the car that turned them away has left the floor
+          p.refusedBy = null;
+        }
+        this.requestExternalCall(f, p.dir, p.id);
+      }
+    }
+    for (const e of this.cars) {
+      if (e.doorsOpen) continue;
+      for (const p of e.riders) if (!e.queue.some(s => s.floor === p.destination && s.kind === 'car')) e.requestFloor(p.destination, p.id);
+    }
+  }
+
+  shouldTriggerEvent(ratePerSec, dt) {
+    const now = this.clock.now();
+    if (now - this.eventWindow.start > 60_000) {
+      this.eventWindow.start = now;
+      this.eventWindow.count = 0;
+    }
+    if (this.eventWindow.count >= this.eventWindow.cap) return false;
+    if (this.rng.chance(ratePerSec * dt)) { this.eventWindow.count++; return true; }
+    return false;
+  }
+
+  processScheduled() {
+    const now = this.clock.now();
+    for (let i = this.scheduled.length - 1; i >= 0; i--) {
+      if (now >= this.scheduled[i].ts) {
+        const ev = this.scheduled.splice(i, 1)[0];
+        if (this.recorder) this.recorder.onEvent(ev.type, ev.payload);
+        this.handleEvent(ev.type, ev.payload);
+      }
+    }
+  }
+
+  handleEvent(type, payload) {
+    if (type === 'door_jam') {
+      const e = this.carById(payload?.car) || (this.cars.length > 1 ? this.cars[this.rng.int(this.cars.length)] : this.cars[0]);
+      this.log(t('core.doorJam', { car: this.carTag(e) }));
+      e.components.door = Math.max(0, e.components.door - Math.round(this.rng.range(6, 18)));
+      // doors can only jam open on a car standing at a floor; payload.open forces the outcome (scenarios)
+      const open = typeof payload?.open === 'boolean' ? payload.open : this.rng.chance(0.5);
+      if (open && e.atRest()) {
+        e.door = DoorState.OPEN; e.doorProgress = 1; e.autoCloseAt = null; e.state = EState.DOOR_OPEN; e.holdDoor = true; this.log(t('core.jammedOpen'));
+      } else {
+        if (e.doorsOpen) { e.door = DoorState.CLOSED; e.doorLockAt = this.clock.now() + (this.cfg.doorLockMs ?? 300); e.state = EState.DOOR_CLOSED; }
+        e.doorProgress = 0; e.autoCloseAt = null; e.holdDoor = true; this.log(t('core.jammedClosed'));
+      }
+      this.maintenance.record(this, e, 'fault', 'door', t(e.door === DoorState.OPEN ? 'core.noteJammedOpen' : 'core.noteJammedClosed'));
+      this.maintenance.takeOutOfService(this, e, t('core.reasonDoorJam'));
+    } else if (type === 'power_loss') {
+      this.power.lose(this, payload?.durationS ?? null);
+    } else if (type === 'power_restore') {
+      this.power.restore(this);
+    } else if (type === 'intercom') {
+      this.intercom.onEvent(this, payload);
+    } else if (type === 'service_visit') {
+      this.intercom.technicianVisit(this, this.carById(payload?.car) || this.elev);
+    } else if (type === 'auto_repair') {
+      // scheduled by older saves: a repair of one component
+      this.maintenance.visit(this, this.carById(payload?.car) || this.elev, payload?.comp || null);
+    }
+  }
+
+  step(dt) {
+    if (this.recorder) this.recorder.onStep(dt);
+    if (this.clock.advance) this.clock.advance(secToMs(dt));
+    // no new arrivals while the building is under a fire alarm
+    if (!this.fire.active) this.traffic.step(this);
+    this.processScheduled();
+    if (this.shouldTriggerEvent(this.cfg.randomEventRatePerSec, dt)) {
+      const r = this.rng.next();
+      if (r < 0.6) this.scheduled.push({ ts: this.clock.now() + secToMs(this.rng.range(2, 20)), type: 'door_jam' });
+      else if (r < 0.65) this.scheduled.push({ ts: this.clock.now() + secToMs(this.rng.range(2, 20)), type: 'power_loss' });
+    }
+    for (const car of this.cars) car.step(dt);
+    this.safety.onStep(this);
+    this.stepBoarding(dt);
+    this.load.onStep(this);
+    this.stepPassengerCalls();
+    this.assignCalls();
+    this.metrics.onStep(this);
+    this.maintenance.onStep(this);
+    // answered calls live on in the metrics; keep only the last minute of them
+    if (this.calls.length > 50) {
+      const now = this.clock.now();
+      this.calls = this.calls.filter(c => c.status !== 'served' || now - c.servedTs < 60_000);
+    }
+  }
+
+  serialize() {
+    return {
+      cars: this.cars.map(c => c.serialize()),
+      focusCar: this.focusCar,
+      playerFloor: this.playerFloor,
+      playerRequestedFloor: this.playerRequestedFloor,
+      lastPlayerCall: { ...this.lastPlayerCall },
+      eventWindow: { ...this.eventWindow },
+      rng: this.rng.serialize(),
+      dispatch: this.strategy.id,
+      calls: this.calls.slice(),
+      hallQueues: this.hallQueues.map(q => q.map(p => p.serialize())),
+      completedTrips: this.completedTrips.map(p => p.serialize()),
+      passengerSeq: this.passengerSeq,
+      scheduled: this.scheduled.slice(),
+      traffic: this.traffic.serialize(),
+      metrics: this.metrics.serialize(),
+      maintenance: this.maintenance.serialize(),
+      fire: this.fire.serialize(),
+      power: this.power.serialize(),
+      load: this.load.serialize(),
+      intercom: this.intercom.serialize(),
+      access: this.access.serialize(),
+      logs: this.logs.slice(0, 200),
+      ts: this.clock.now()
+    };
+  }
+
+  // obj should have been through readSave (sim/save.js); a malformed one throws
+  static deserialize(obj, env = {}) {
+    const w = new World(env);
+    if (!obj) return w;
+    // single-car saves stored one `elev`; cars are matched to the configured bank by position
+    const saved = Array.isArray(obj.cars) ? obj.cars : (obj.elev ? [obj.elev] : []);
+    const specs = carSpecs(w.cfg);
+    w.cars = specs.map((spec, i) => Elevator.deserialize(saved[i] || null, w, w.cfg.floors, spec.initialFloor, spec));
+    w.focusCar = clamp(obj.focusCar ?? 0, 0, w.cars.length - 1);
+    w.playerFloor = obj.playerFloor ?? w.cfg.initialFloor;
+    w.playerRequestedFloor = obj.playerRequestedFloor ?? null;
+    if (obj.lastPlayerCall) w.lastPlayerCall = { ...obj.lastPlayerCall };
+    if (obj.eventWindow) w.eventWindow = { ...obj.eventWindow };
+    if (obj.rng) w.rng = Rng.deserialize(obj.rng, w.rng.seed);
+    if (obj.dispatch && getStrategy(obj.dispatch)) w.strategy = getStrategy(obj.dispatch);
+    w.calls = obj.calls || [];
+    if (Array.isArray(obj.hallQueues)) obj.hallQueues.forEach((q, f) => { if (w.hallQueues[f]) w.hallQueues[f] = q.map(Passenger.deserialize); });
+    w.completedTrips = (obj.completedTrips || []).map(Passenger.deserialize);
+    w.passengerSeq = obj.passengerSeq ?? 0;
+    w.scheduled = obj.scheduled || [];
+    // older saves had a few NPC timers instead; the generator simply starts fresh for them
+    w.traffic = TrafficGenerator.deserialize(obj.traffic, w.cfg);
+    w.metrics = Metrics.deserialize(obj.metrics, w.clock.now(), w.cfg.metricsMaxSamples);
+    w.maintenance = Maintenance.deserialize(obj.maintenance, w.cfg);
+    w.fire = FireService.deserialize(obj.fire, w.cfg);
+    w.power = PowerSupply.deserialize(obj.power, w.cfg);
+    w.load = LoadWeighing.deserialize(obj.load, w.cfg);
+    w.intercom = Intercom.deserialize(obj.intercom, w.cfg);
+    w.access = AccessControl.deserialize(obj.access, w.cfg);
+    w.logs = obj.logs || [];
+    return w;
+  }
+}
@@ -0,0 +1,180 @@
+// sim/dispatch.js
+// Dispatch strategies: the only place that decides where cars go.
+// A strategy is a plain object:
+//   { id, label,
+//     directional,                 // true: a stop answers only the hall call for the departure direction
+//     nextStop(snap) -> { floor, dir } | floor | null,   // per car, re-evaluated every step
+//     assignCost(snap, call) -> number }                 // optional; lowest cost car gets a hall call
+// `snap` is a frozen snapshot built by Elevator.snapshot(): { now, floors, car, queue, calls, floorToMeters }.
+// Strategies must not touch the world; they only read the snapshot.
+// Built-ins: nearest (original behaviour), fcfs, look (directional collective), eta.
+
+import { travelTime } from './motion.js';
+import { t } from './i18n.js';
+
+const REGISTRY = new Map();
+
+export const DEFAULT_STRATEGY = 'look';
+
+export function registerStrategy(strategy) {
+  if (!strategy || typeof strategy.id !== 'string' || typeof strategy.nextStop !== 'function') {
+    throw new Error('A dispatch strategy needs an id and a nextStop(snapshot) function');
+  }
+  REGISTRY.set(strategy.id, Object.freeze({ directional: false, label: strategy.id, ...strategy }));
+  return REGISTRY.get(strategy.id);
+}
+
+export const getStrategy = id => REGISTRY.get(id) || null;
+// built-ins are named by the catalogs (dispatch.<id>); registered strategies keep their own label
+export function strategyLabel(s) {
+  const key = `dispatch.${s.id}`;
+  const label = t(key);
+  return label === key ? s.label : label;
+}
+export const listStrategies = () => [...REGISTRY.values()].map(s => ({ id: s.id, label: strategyLabel(s) }));
+
+// strategies may answer with a bare floor number
+export function normalizePick(pick) {
+  if (pick === null || pick === undefined) return null;
+  if (typeof pick === 'number') return { floor: pick, dir: null };
+  return { floor: pick.floor, dir: pick.dir ?? null };
+}
+
+/* -------------------------
+   Snapshot helpers shared by the built-ins
+------------------------- */
+const byScore = (stops, score) => stops.reduce((best, s) => (score(s) < score(best) ? s : best));
+const distTo = snap => s => Math.abs(snap.floorToMeters(s.floor) - snap.car.position);
+const dirTo = (snap, floor) => {
+  const rel = snap.floorToMeters(floor) - snap.car.position;
+  return Math.abs(rel) <= 0.03 ? null : rel > 0 ? 'up' : 'down';
+};
+
+// directional collective choice: keep the travel direction while a car call or same-direction
+// hall call lies ahead, else run out to the furthest remaining call ahead, and only then reverse.
+// Stops the car can no longer brake for are skipped (they stay registered for the next pass).
+function lookNextStop(snap) {
+  const { car, queue } = snap;
+  if (!queue.length) return null;
+  const pos = car.position, v = car.velocity;
+  const still = Math.abs(v) < 0.05;
+  const dist = distTo(snap);
+  let dir = car.direction;
+  if (!dir) {
+    // idle: head for the nearest stop; a stop right here takes the hall call's direction
+    const near = byScore(queue, dist);
+    dir = dirTo(snap, near.floor);
+    if (!dir) return { floor: near.floor, dir: near.kind === 'car' ? null : near.kind };
+  }
+  for (let pass = 0; pass < 2; pass++) {
+    const sgn = dir === 'up' ? 1 : -1;
+    const movingThisWay = !still && Math.sign(v) === sgn;
+    const ahead = queue.filter(s => {
+      if (s.floor === car.targetFloor && pass === 0) return true;
+      const relM = (snap.floorToMeters(s.floor) - pos) * sgn;
+      if (relM < -0.03 || (relM <= 0.03 && !still)) return false;
+      return !movingThisWay || relM >= car.brakingDist;
+    });
+    const sameWay = ahead.filter(s => s.kind === 'car' || s.kind === dir);
+    if (sameWay.length) return { floor: byScore(sameWay, dist).floor, dir };
+    // last call ahead is an opposite hall call: go to the furthest one and reverse there
+    if (ahead.length) return { floor: byScore(ahead, s => -dist(s)).floor, dir };
+    dir = dir === 'up' ? 'down' : 'up';
+  }
+  return null;
+}
+
+// LOOK visiting order of the car's stops plus `extra`: the sweep ahead, the return sweep, then the rest
+function lookRoute(snap, extra) {
+  const { car } = snap;
+  const stops = extra ? [...snap.queue, extra] : snap.queue.slice();
+  if (!stops.length) return [];
+  const pos = car.position;
+  const m = s => snap.floorToMeters(s.floor);
+  const dir = car.direction || dirTo(snap, byScore(stops, distTo(snap)).floor) || 'up';
+  const sgn = dir === 'up' ? 1 : -1;
+  const opp = dir === 'up' ? 'down' : 'up';
+  const sweep = stops.filter(s => (m(s) - pos) * sgn >= -0.03 && (s.kind === 'car' || s.kind === dir)).sort((a, b) => (m(a) - m(b)) * sgn);
+  const back = stops.filter(s => !sweep.includes(s) && (s.kind === 'car' || s.kind === opp)).sort((a, b) => (m(b) - m(a)) * sgn);
+  const rest = stops.filter(s => !sweep.includes(s) && !back.includes(s)).sort((a, b) => (m(a) - m(b)) * sgn);
+  return [...sweep, ...back, ...rest];
+}
+
+// distance-only estimate used by LOOK: a call behind the car, or ahead but for the other direction,
+// waits for the run out to its last stop and back; plus a dwell per stop already queued
+function lookAssignCost(snap, call) {
+  const { car } = snap;
+  const pos = car.position, callPos = snap.floorToMeters(call.floor);
+  let dist = Math.abs(callPos - pos);
+  if (car.direction) {
+    const sgn = car.direction === 'up' ? 1 : -1;
+    if (!((callPos - pos) * sgn >= 0 && call.dir === car.direction)) {
+      const far = snap.queue.reduce((acc, s) => Math.max(acc, (snap.floorToMeters(s.floor) - pos) * sgn), 0);
+      dist = far + Math.abs(pos + far * sgn - callPos);
+    }
+  }
+  const stops = snap.queue.length + (car.doorsOpen ? 1 : 0);
+  return dist / car.maxSpeedMps + stops * (car.dwellS + 4);
+}
+
+// full estimated time of arrival: follow the LOOK route, adding an S-curve travel time per leg
+// and a door dwell for every stop made before the caller's floor
+function etaAssignCost(snap, call) {
+  const { car } = snap;
+  const target = { floor: call.floor, kind: call.dir };
+  const route = lookRoute(snap, target);
+  const limits = { vmax: car.maxSpeedMps, accel: car.accelLimit, brake: car.brakeLimit, jerk: car.jerkLimit };
+  let t = car.doorsOpen ? car.dwellS : 0, at = car.position;
+  for (const s of route) {
+    const p = snap.floorToMeters(s.floor);
+    t += travelTime(Math.abs(p - at), limits);
+    at = p;
+    if (s === target) return t;
+    t += car.dwellS + 2;
+  }
+  return t;
+}
+
+/* -------------------------
+   Built-in strategies
+------------------------- */
+registerStrategy({
+  id: 'nearest',
+  label: 'Nearest call',
+  directional: false,
+  nextStop(snap) {
+    if (!snap.queue.length) return null;
+    const best = byScore(snap.queue, distTo(snap));
+    return { floor: best.floor, dir: dirTo(snap, best.floor) };
+  },
+  assignCost: (snap, call) => Math.abs(snap.floorToMeters(call.floor) - snap.car.position)
+});
+
+registerStrategy({
+  id: 'fcfs',
+  label: 'First come, first served',
+  directional: false,
+  nextStop(snap) {
+    if (!snap.queue.length) return null;
+    const first = byScore(snap.queue, s => s.ts);
+    return { floor: first.floor, dir: dirTo(snap, first.floor) };
+  },
+  // shortest backlog wins; distance breaks ties
+  assignCost: (snap, call) => snap.queue.length * 1000 + Math.abs(snap.floorToMeters(call.floor) - snap.car.position)
+});
+
+registerStrategy({
+  id: 'look',
+  label: 'LOOK (directional collective)',
+  directional: true,
+  nextStop: lookNextStop,
+  assignCost: lookAssignCost
+});
+
+registerStrategy({
+  id: 'eta',
+  label: 'Estimated time of arrival',
+  directional: true,
+  nextStop: lookNextStop,
+  assignCost: etaAssignCost
+});
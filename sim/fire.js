@@ -0,0 +1,125 @@
+// sim/fire.js
+// Firefighter emergency operation for the whole bank.
+// Phase I (recall): a smoke detector on any floor cancels every call and sends each car non-stop to
+// the recall floor (cfg.fire.alternateFloor when smoke is detected there). Open doors close at once
+// with the light curtain off; riders get out at the recall floor, where cars park with doors open and
+// ignore hall and car calls. People waiting in the halls take the stairs and no new traffic arrives
+// until the fire alarm is reset.
+// Phase II: the key switch in a parked car ('on' | 'hold' | 'off') hands it to the firefighter:
+// car calls only (all cancelled at each stop), doors that move only while OPEN / CLOSE is held and
+// reverse when let go (Elevator.stepFireDoors). 'hold' keeps the car where it is; 'off', with the
+// doors fully open, puts the car back under Phase I (or in normal service after a reset).
+
+import { t } from './i18n.js';
+
+export class FireService {
+  constructor(cfg) {
+    this.cfg = cfg.fire || {};
+    // floors with a triggered smoke detector, and the floor cars are recalled to (null = no recall)
+    this.smoke = [];
+    this.recallTo = null;
+  }
+
+  get active() { return this.recallTo !== null; }
+
+  // designated recall floor, or the alternate one when smoke is detected there
+  recallFloor() {
+    const main = this.cfg.recallFloor ?? 0;
+    return this.smoke.includes(main) ? this.cfg.alternateFloor ?? 1 : main;
+  }
+
+  // the recall floor for one car: the closest floor it serves
+  carRecallFloor(e) {
+    let best = this.recallTo;
+    for (let f = 0; f < e.floors; f++) if (e.serves(f) && (!e.serves(best) || Math.abs(f - this.recallTo) < Math.abs(best - this.recallTo))) best = f;
+    return best;
+  }
+
+  detectSmoke(world, floor) {
+    if (!Number.isInteger(floor) || floor < 0 || floor >= world.cfg.floors || this.smoke.includes(floor)) return false;
+    this.smoke.push(floor);
+    world.log(t('fire.smoke', { floor: world.floorLabel(floor) }));
+    const to = this.recallFloor();
+    if (to === this.recallTo) return true;
+    if (!this.active) this.cancelService(world);
+    this.recallTo = to;
+    const alternate = to !== (this.cfg.recallFloor ?? 0);
+    // cars stranded by a power failure follow once power returns (PowerSupply.restore)
+    for (const e of world.cars) if (e.serviceMode !== 'out' && e.serviceMode !== 'fire2' && !e.rescue && !e.trip) this.recall(world, e);
+    world.log(t(alternate ? 'fire.recallAlternate' : 'fire.recall', { floor: world.floorLabel(to) }));
+    world.sink('lift:fire', { phase: 1, floor: to, smoke: floor, alternate });
+    return true;
+  }
+
+  // every open call is dropped and the halls empty out onto the stairs
+  cancelService(world) {
+    for (const c of world.calls) if (c.status === 'pending' || c.status === 'assigned') c.status = 'cancelled';
+    const waiting = world.hallQueues.reduce((n, q) => n + q.length, 0);
+    world.hallQueues.forEach(q => { q.length = 0; });
+    if (waiting) world.log(t('fire.hallsCleared', { n: waiting }));
+  }
+
+  recall(world, e) {
+    const floor = this.carRecallFloor(e);
+    e.serviceMode = 'fire1';
+    e.fireKey = 'off';
+    e.doorButton = null;
+    e.recall(floor);
+  }
+
+  // a Phase I car standing at its recall floor with the doors open
+  parked(e) { return e.serviceMode === 'fire1' && e.atRest() && e.metersToFloor(e.position) === this.carRecallFloor(e) && e.doorsFullyOpen; }
+
+  key(world, e, pos) {
+    if (pos === 'on' || pos === 'hold') {
+      if (e.serviceMode !== 'fire2' && !(this.active && this.parked(e))) {
+        world.log(t('fire.keyNeedsParked'));
+        return false;
+      }
+      const entering = e.serviceMode !== 'fire2';
+      e.serviceMode = 'fire2';
+      e.fireKey = pos;
+      if (pos === 'hold') e.queue = [];
+      world.log(t(pos === 'on' ? 'fire.phase2On' : 'fire.phase2Hold', { car: world.carTag(e) }));
+      if (entering || pos === 'on') world.sink('lift:fire', { phase: 2, car: e.id, key: pos });
+      return true;
+    }
+    if (e.serviceMode !== 'fire2') { e.fireKey = 'off'; return true; }
+    if (!e.doorsFullyOpen) {
+      world.log(t('fire.keyOffNeedsOpen'));
+      return false;
+    }
+    if (this.active) {
+      this.recall(world, e);
+      world.log(t('fire.keyOffPhase1', { car: world.carTag(e), floor: world.floorLabel(this.carRecallFloor(e)) }));
+      world.sink('lift:fire', { phase: 1, car: e.id, floor: this.carRecallFloor(e) });
+    } else {
+      e.leaveFireService();
+      world.log(t('fire.keyOffNormal', { car: world.carTag(e) }));
+    }
+    return true;
+  }
+
+  // fire alarm reset: Phase I cars return to normal service (a car under Phase II stays with the
+  // firefighter until its key is turned off); traffic resumes from now
+  reset(world) {
+    if (!this.active) return false;
+    this.smoke = [];
+    this.recallTo = null;
+    for (const e of world.cars) if (e.serviceMode === 'fire1') e.leaveFireService();
+    world.traffic.period = undefined;
+    world.log(t('fire.reset'));
+    world.sink('lift:fire', { phase: 0 });
+    return true;
+  }
+
+  serialize() { return { smoke: this.smoke.slice(), recallTo: this.recallTo }; }
+
+  static deserialize(obj, cfg) {
+    const f = new FireService(cfg);
+    if (!obj) return f;
+    f.smoke = obj.smoke || [];
+    f.recallTo = obj.recallTo ?? null;
+    return f;
+  }
+}
@@ -0,0 +1,30 @@
+// sim/i18n.js
+// Message catalogs (sim/locales/<locale>.js) for every log line, label and announcement.
+// t(key, params) looks the key up in the current locale, then in Indonesian, and fills {name}
+// placeholders from params; an entry may also be a function of params (plurals, optional parts).
+// The locale is process-wide: the browser sets it from the persisted switch, Node keeps 'id'.
+
+import id from './locales/id.js';
+import en from './locales/en.js';
+
+export const CATALOGS = { id, en };
+export const LOCALES = Object.keys(CATALOGS);
+export const DEFAULT_LOCALE = 'id';
+// BCP 47 tags for speech synthesis and date formatting
+export const LOCALE_TAGS = { id: 'id-ID', en: 'en-US' };
+
+let current = DEFAULT_LOCALE;
+
+export const getLocale = () => current;
+
+export function setLocale(locale) {
+  if (CATALOGS[locale]) current = locale;
+  return current;
+}
+
+export function t(key, params = {}) {
+  const msg = CATALOGS[current][key] ?? CATALOGS[DEFAULT_LOCALE][key];
+  if (msg === undefined) return key;
+  if (typeof msg === 'function') return msg(params);
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (params[name] === undefined || params[name] === null ? m : String(params[name])));
+}
@@ -0,0 +1,117 @@
+// sim/intercom.js
+// ALARM button and the intercom rescue workflow, one session per car:
+//   calling    alarm pressed; the intercom rings the help desk (connectS)
+//   talking    the operator answers and reads the car's state remotely (stepS per script line)
+//   dispatched a technician is on the way (Maintenance.callTechnician; an ETA already running is reused)
+//   onsite     the technician ('service_visit') diagnoses the faults, frees a stuck or jammed car,
+//              repairs it (Maintenance.visit) and closes the session
+// Script lines are scheduled world events ('intercom'), so sessions replay like everything else.
+// Every line goes to the world log and the session transcript.
+
+import { t } from './i18n.js';
+
+const MAX_SESSIONS = 50;
+
+export class Intercom {
+  constructor(cfg) {
+    this.cfg = cfg.intercom || {};
+    // newest last: { id, car, openedAt, state, eta, closedAt, transcript: [{ ts, who, text }] }
+    this.sessions = [];
+    this.seq = 0;
+  }
+
+  open(e) { return this.sessions.find(s => s.car === e.id && s.state !== 'closed') || null; }
+
+  // role: 'system', 'operator' or 'technician' (who is the localized speaker name)
+  say(world, s, who, text, role = who === 'system' ? 'system' : 'operator') {
+    s.transcript.push({ ts: world.clock.now(), who, text });
+    world.log(who === 'system' ? t('intercom.system', { car: world.carTag(world.carById(s.car)), text }) : `${who}: ${text}`);
+    world.sink('lift:intercom', { session: s.id, car: s.car, state: s.state, who, role, text });
+  }
+
+  next(world, s, step, afterS) {
+    world.scheduled.push({ ts: world.clock.now() + afterS * 1000, type: 'intercom', payload: { session: s.id, step } });
+  }
+
+  // the ALARM button in car e; a second press while a session is open only reassures
+  alarm(world, e) {
+    const current = this.open(e);
+    if (current) {
+      this.say(world, current, 'system', t(current.state === 'calling' ? 'intercom.stillCalling' : 'intercom.helpComing'));
+      return false;
+    }
+    const s = { id: ++this.seq, car: e.id, openedAt: world.clock.now(), state: 'calling', eta: null, closedAt: null, transcript: [] };
+    this.sessions.push(s);
+    if (this.sessions.length > MAX_SESSIONS) this.sessions.splice(0, this.sessions.length - MAX_SESSIONS);
+    this.say(world, s, 'system', t('intercom.alarm'));
+    this.next(world, s, 1, this.cfg.connectS ?? 4);
+    return true;
+  }
+
+  // scheduled script line `step` of a session
+  onEvent(world, payload) {
+    const s = this.sessions.find(x => x.id === payload?.session);
+    if (!s || s.state === 'closed') return;
+    const e = world.carById(s.car);
+    const op = this.cfg.operatorName ? t('intercom.operator', { name: this.cfg.operatorName }) : t('intercom.helpDesk');
+    const stepS = this.cfg.stepS ?? 6;
+    if (payload.step === 1) {
+      s.state = 'talking';
+      this.say(world, s, op, t('intercom.answer'));
+      this.next(world, s, 2, stepS);
+    } else if (payload.step === 2) {
+      const found = this.diagnose(world, e);
+      this.say(world, s, op, found.length ? t('intercom.diagnosis', { found: found.join('; ') }) : t('intercom.noFault'));
+      this.next(world, s, 3, stepS);
+    } else if (payload.step === 3) {
+      const eta = world.maintenance.callTechnician(world, e);
+      s.state = 'dispatched';
+      s.eta = eta;
+      const mins = Math.max(1, Math.round((eta - world.clock.now()) / 60_000));
+      this.say(world, s, op, t('intercom.dispatched', { min: mins, at: new Date(eta).toLocaleTimeString() }));
+    }
+  }
+
+  // what the help desk and the technician can see of a car
+  diagnose(world, e) {
+    const found = [];
+    const maint = world.maintenance.cfg;
+    if (e.trip) found.push(t('intercom.found.trip', { device: e.trip.device }));
+    for (const f of e.faults) found.push(t('intercom.found.fault', { fault: f }));
+    if (e.holdDoor) found.push(t(e.doorsOpen ? 'core.noteJammedOpen' : 'core.noteJammedClosed'));
+    if (!world.power.on) found.push(t('intercom.found.power'));
+    if (!e.plan && Math.abs(e.velocity) < 1e-3 && !e.atRest()) found.push(t('intercom.found.between', { m: e.position.toFixed(2) }));
+    if (e.overloaded) found.push(t('intercom.found.overload', { pct: e.loadPct }));
+    for (const [comp, health] of Object.entries(e.components)) if (health < (maint.degradedBelow ?? 40)) found.push(t('maint.noteWorn', { comp: t(`comp.${comp}`), pct: Math.round(health) }));
+    if (e.serviceMode === 'out' || e.serviceMode === 'leaving') found.push(t('intercom.found.out'));
+    return found;
+  }
+
+  // technician on site (every 'service_visit'): diagnose, free the car, then the usual repair
+  technicianVisit(world, e) {
+    const s = this.open(e);
+    if (s) s.state = 'onsite';
+    const found = this.diagnose(world, e);
+    const tech = t('intercom.technician');
+    const findings = found.length ? t('intercom.findings', { found: found.join('; ') }) : t('intercom.nothingFound');
+    if (s) this.say(world, s, tech, t('intercom.arrived', { car: world.carTag(e), findings }), 'technician');
+    else world.log(t('intercom.technicianArrived', { car: world.carTag(e), findings }));
+    for (const f of e.faults.slice()) world.safety.fault(world, e, f, false);
+    if (e.trip && e.trip.phase === 'stopped') world.safety.reset(world, e);
+    world.maintenance.visit(world, e);
+    if (!s) return;
+    s.state = 'closed';
+    s.closedAt = world.clock.now();
+    this.say(world, s, tech, t(found.length ? 'intercom.freed' : 'intercom.checked', { car: world.carTag(e), secs: Math.round((s.closedAt - s.openedAt) / 1000) }), 'technician');
+  }
+
+  serialize() { return { seq: this.seq, sessions: JSON.parse(JSON.stringify(this.sessions)) }; }
+
+  static deserialize(obj, cfg) {
+    const ic = new Intercom(cfg);
+    if (!obj) return ic;
+    ic.seq = obj.seq || 0;
+    ic.sessions = obj.sessions || [];
+    return ic;
+  }
+}
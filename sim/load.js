@@ -0,0 +1,64 @@
+// sim/load.js
+// Load weighing, checked by World after every step against each car's rated load (capacityKg /
+// cfg.ratedLoadKg):
+//   overload (above overloadPct): the doors stay open (Elevator.closeDoors), the buzzer and the
+//     OVERLOAD indicator come on, and nobody else boards at this stop; the last one in steps back out
+//   full load (fullLoadPct and up): the car takes no hall calls and hands back the ones it has
+//   anti-nuisance: nuisanceMinCalls or more car calls with less than nuisanceKgPerCall weighed per
+//     call cancels every car call (riders press their own button again, see stepPassengerCalls)
+
+import { t } from './i18n.js';
+
+export class LoadWeighing {
+  constructor(cfg) {
+    this.cfg = cfg.loadWeighing || {};
+    // per car id: overload indicator on, full-load bypass on, arrivalTs of the stop it overloaded at
+    this.cars = {};
+  }
+
+  track(e) {
+    return this.cars[e.id] || (this.cars[e.id] = { over: false, full: false, stop: null });
+  }
+
+  // no more boarding at a stop where the car has overloaded
+  boardingClosed(e) { return this.track(e).stop === e.arrivalTs; }
+
+  onStep(world) {
+    for (const e of world.cars) {
+      const tr = this.track(e), over = e.overloaded;
+      if (over !== tr.over) {
+        tr.over = over;
+        if (over) tr.stop = e.arrivalTs;
+        world.log(t(over ? 'load.over' : 'load.normal', { car: world.carTag(e), kg: Math.round(e.loadKg), pct: e.loadPct }));
+        world.sink('lift:overload', { car: e.id, on: over, loadKg: e.loadKg, pct: e.loadPct });
+      }
+      const full = e.fullLoad && e.inService;
+      if (full && e.queue.some(s => s.kind !== 'car')) {
+        world.releaseHallCalls(e);
+        if (!tr.full) world.log(t('load.full', { car: world.carTag(e), pct: e.loadPct }));
+      }
+      tr.full = full;
+      this.checkNuisance(world, e);
+    }
+  }
+
+  checkNuisance(world, e) {
+    const c = this.cfg;
+    if (e.serviceMode !== 'normal' && e.serviceMode !== 'leaving') return;
+    const calls = e.queue.filter(s => s.kind === 'car').length;
+    if (calls < (c.nuisanceMinCalls ?? 3) || e.loadKg >= calls * (c.nuisanceKgPerCall ?? 40)) return;
+    e.queue = e.queue.filter(s => s.kind !== 'car');
+    if (e.playerInside) world.playerRequestedFloor = null;
+    world.log(t('load.nuisance', { car: world.carTag(e), n: calls, kg: Math.round(e.loadKg) }));
+    world.sink('lift:nuisance', { car: e.id, cancelled: calls, loadKg: e.loadKg });
+  }
+
+  serialize() { return { cars: JSON.parse(JSON.stringify(this.cars)) }; }
+
+  static deserialize(obj, cfg) {
+    const l = new LoadWeighing(cfg);
+    if (!obj) return l;
+    l.cars = obj.cars || {};
+    return l;
+  }
+}
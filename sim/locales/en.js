@@ -0,0 +1,415 @@
+// sim/locales/en.js
+// English messages; a missing key falls back to Indonesian (sim/i18n.js).
+
+export default {
+  // shared words
+  'dir.up': 'up',
+  'dir.down': 'down',
+  'who.player': 'you',
+  'who.npc': 'occupant',
+  'who.scenario': 'scenario',
+  // sim/dispatch.js
+  'dispatch.nearest': 'Nearest call',
+  'dispatch.fcfs': 'First come, first served',
+  'dispatch.look': 'LOOK (directional collective)',
+  'dispatch.eta': 'Estimated time of arrival',
+  // sim/core.js
+  'core.relevel': 'Lift{car}: relevelling at floor {floor} ({mm} mm)',
+  'core.playerEntered': 'You entered lift{car} (manual) at floor {floor}',
+  'core.enterFailed': 'Could not enter (manual) — already inside or blocked.',
+  'core.exitFailed': 'Could not exit (manual) — already outside or blocked.',
+  'core.playerExited': 'You exited (manual) at floor {floor}',
+  'core.floorNotServedByCar': 'Floor {floor} is not served by lift{car}.',
+  'core.floorNotServed': 'Floor {floor} is not served by any lift.',
+  'core.callTooSoon': 'Call ignored (pressed too soon).',
+  'core.callIgnoredFire': 'Call ignored — fire service in operation.',
+  'core.callIgnoredPower': 'Button dead — power failure.',
+  'core.callRegistered': 'Call already registered at floor {floor}',
+  'core.playerCall': 'Call {dir} at floor {floor}',
+  'core.call': '{who} called {dir} at floor {floor}',
+  'core.unknownStrategy': 'Unknown dispatch strategy: {id}',
+  'core.strategy': 'Dispatch strategy: {label}',
+  'core.assigned': 'Lift{car} assigned to the call at floor {floor} (by {who})',
+  'core.boarded': '{id} boarded at floor {floor} → {to} (~{kg} kg)',
+  'core.alighted': '{id} got off at floor {floor}',
+  'core.steppedBack': '{id} stepped back out at floor {floor} (overload)',
+  'core.evacuatedFire': '{id} evacuated at floor {floor}',
+  'core.evacuatedOut': '{id} got off at floor {floor} (lift{car} out of service)',
+  'core.evacuatedPower': '{id} got off at floor {floor} (lift{car} evacuated, power failure)',
+  'core.doorJam': p => `Door jam occurred${p.car ? ` (lift${p.car})` : ''}.`,
+  'core.jammedOpen': 'Door jammed open.',
+  'core.jammedClosed': 'Door jammed closed.',
+  'core.noteJammedOpen': 'door jammed open',
+  'core.noteJammedClosed': 'door jammed closed',
+  'core.reasonDoorJam': 'door jam',
+  // sim/fire.js
+  'fire.smoke': 'Smoke detector triggered at floor {floor}',
+  'fire.recall': 'Phase I: all lifts return to floor {floor}',
+  'fire.recallAlternate': 'Phase I: all lifts return to floor {floor} (alternate floor)',
+  'fire.hallsCleared': '{n} people in the lift lobbies evacuated by the stairs',
+  'fire.keyNeedsParked': 'The Phase II key only works in a lift parked under Phase I.',
+  'fire.phase2On': 'Phase II: lift{car} under firefighter control',
+  'fire.phase2Hold': 'Phase II: lift{car} held (HOLD)',
+  'fire.keyOffNeedsOpen': 'Key OFF only takes effect with the doors fully open.',
+  'fire.keyOffPhase1': 'Key OFF: lift{car} back under Phase I (floor {floor})',
+  'fire.keyOffNormal': 'Key OFF: lift{car} back in normal service',
+  'fire.reset': 'Fire alarm reset — lifts back in normal service',
+  // sim/maintenance.js
+  'comp.door': 'door',
+  'comp.motor': 'motor',
+  'maint.noteWorn': '{comp} worn ({pct}%)',
+  'maint.worn': 'Lift{car}: {comp} worn ({pct}%) — reduced performance',
+  'maint.noteParked': 'parked OUT OF SERVICE',
+  'maint.parked': 'Lift{car} OUT OF SERVICE at floor {floor}',
+  'maint.noteOut': 'out of service: {reason}',
+  'maint.out': 'Lift{car} leaving service ({reason})',
+  'maint.called': 'Technician called for lift{car} (~{min} min)',
+  'maint.noteIn': 'back in service',
+  'maint.done': 'Technician done: lift{car} back in service',
+  // sim/power.js
+  'power.lost': 'Power failure — emergency brake, emergency lighting on',
+  'power.parked': 'Lift{car} parked at floor {floor} with the doors open',
+  'power.rescued': 'Passengers of lift{car} trapped {secs} s — evacuated at floor {floor}',
+  'power.jammed': 'Lift{car} reached floor {floor} on battery but its doors are jammed shut — waiting for the technician',
+  'power.restored': 'Power restored (out {secs} s)',
+  // sim/load.js
+  'load.over': 'OVERLOAD lift{car}: {kg} kg ({pct}%) — doors held open',
+  'load.normal': 'Lift{car}: load back to normal',
+  'load.full': 'Lift{car} full ({pct}%) — bypassing hall calls',
+  'load.nuisance': 'Anti-nuisance lift{car}: {n} car calls cancelled (load {kg} kg)',
+  // sim/safety.js
+  'safety.device.doorLock': 'door lock contact open',
+  'safety.device.finalLimit': 'final limit switch',
+  'safety.device.governor': 'overspeed governor ({speed} m/s), safety gear set on the rails',
+  'safety.noteTrip': 'safety chain open: {what}',
+  'safety.trip': 'EMERGENCY lift{car}: {what} — lift stopped, manual reset required',
+  'safety.faultOn': 'Fault {fault} injected into lift{car}',
+  'safety.faultOff': 'Fault {fault} cleared from lift{car}',
+  'safety.resetMoving': 'Reset refused: lift{car} has not stopped yet.',
+  'safety.resetFaults': 'Reset refused: fault {faults} on lift{car} not cleared yet.',
+  'safety.noteReset': 'safety chain reset ({device})',
+  'safety.reset': 'Safety chain of lift{car} reset — back in service',
+  // sim/intercom.js
+  'intercom.system': 'Intercom lift{car}: {text}',
+  'intercom.stillCalling': 'still calling the help desk…',
+  'intercom.helpComing': 'alarm received, help is on the way',
+  'intercom.alarm': 'ALARM pressed — calling the help desk',
+  'intercom.operator': 'Operator {name}',
+  'intercom.helpDesk': 'Help desk operator',
+  'intercom.answer': 'Lift help desk, I can hear you. Is anyone hurt?',
+  'intercom.diagnosis': 'Our system shows: {found}.',
+  'intercom.noFault': 'Our system shows no fault; a technician will still check the lift.',
+  'intercom.dispatched': 'A technician is on the way, expected in {min} minutes (at {at}). Please stay calm; ventilation and lighting stay on.',
+  'intercom.found.trip': 'safety chain open ({device})',
+  'intercom.found.fault': 'fault {fault}',
+  'intercom.found.power': 'power failure',
+  'intercom.found.between': 'lift stuck between floors ({m} m)',
+  'intercom.found.overload': 'overloaded ({pct}%)',
+  'intercom.found.out': 'lift out of service',
+  'intercom.technician': 'Technician',
+  'intercom.findings': 'found: {found}',
+  'intercom.nothingFound': 'no fault found',
+  'intercom.arrived': 'arrived at lift{car} — {findings}',
+  'intercom.technicianArrived': 'Technician arrived at lift{car} — {findings}',
+  'intercom.freed': 'lift{car} freed, intercom session closed ({secs} s since the alarm)',
+  'intercom.checked': 'lift{car} checked, intercom session closed ({secs} s since the alarm)',
+  // sim/traffic.js
+  'traffic.period': p => `Traffic period: ${p.name}${p.perMin ? ` (${p.perMin}/min)` : ''}`,
+  'traffic.quiet': 'quiet',
+  // sim/scenario.js
+  'scenario.badTime': 'Invalid time: {v}',
+  'scenario.carAt': 'lift{car} at floor {floor} by t={by}s',
+  'scenario.arrivedAt': 'arrived t={t}s',
+  'scenario.wasAt': 'at floor {floor} at t={t}s',
+  'scenario.endedBefore': 'scenario ended before t={t}s',
+  'scenario.maxWait': 'no call waits > {s}s',
+  'scenario.late': '{dir} call at floor {floor} over {s}s (t={t}s)',
+  'scenario.heldToEnd': 'held until the end',
+  'scenario.never': 'no lift ever {state}',
+  'scenario.neverCar': 'lift {car} never {state}',
+  'scenario.entered': 'lift{car} {state} at t={t}s',
+  'scenario.notObject': 'A scenario must be a JSON object',
+  'scenario.action': 'action #{n}',
+  'scenario.assertion': 'assertion #{n}',
+  'scenario.unknownType': 'unknown type "{type}"',
+  'scenario.badT': 't must be a number ≥ 0',
+  'scenario.badPositive': '{field} must be a number > 0 (got {value})',
+  'scenario.badFloor': 'invalid floor',
+  'scenario.needs': '{fields} required',
+  'scenario.unknownState': 'unknown state "{state}"',
+  'scenario.noCar': 'No lift "{car}"',
+  'scenario.unnamed': 'unnamed',
+  'scenario.started': 'Scenario "{name}" started: {actions} actions, {asserts} assertions, {s} s',
+  'scenario.noEffect': 'Scenario: action {action} at t={t}s had no effect',
+  'scenario.pass': 'Scenario PASS: {label} — {detail}',
+  'scenario.fail': 'Scenario FAIL: {label} — {detail}',
+  'scenario.finished': 'Scenario "{name}" finished: {passed}/{total} assertions passed',
+  // sim/save.js
+  'save.diff.floors': 'floor count {from} → {to}',
+  'save.diff.height': 'floor height {from} → {to} m',
+  'save.diff.elevations': 'floor elevations',
+  'save.diff.labels': 'floor labels {from} → {to}',
+  'save.diff.cars': 'lifts {from} → {to}',
+  'save.diff.served': 'floors served by lift {car}',
+  'save.diff.capacity': 'capacity of lift {car} {from} → {to} kg',
+  'save.err.formatOf': 'Not a LiftSim save (format {format})',
+  'save.err.format': 'Not a LiftSim save',
+  'save.err.empty': 'Save is empty or not an object',
+  'save.err.version': 'Invalid save version: {v}',
+  'save.err.newer': 'Save version {v} is newer than supported ({max})',
+  'save.err.noWorld': 'Save has no world data',
+  'save.err.noCars': 'Save has no lift data',
+  'save.err.position': 'Invalid position of lift #{n}',
+  'save.fix.dropped': '{n} {what} on floors that no longer exist removed',
+  'save.fix.position': 'position of lift {car} moved into the shaft',
+  'save.fix.playerFloor': 'player floor adjusted',
+  'save.what.stops': 'lift stops',
+  'save.what.riders': 'passengers',
+  'save.what.calls': 'calls',
+  'save.what.waiting': 'waiting people',
+  'save.fix.malformed': '{n} malformed {what} removed',
+  'save.fix.reset': '{what} data unreadable, started fresh',
+  'save.fix.building': 'building description unreadable, not compared with this building',
+  'save.what.trips': 'finished trips',
+  'save.section.metrics': 'KPI',
+  'save.section.traffic': 'traffic',
+  'save.section.maintenance': 'maintenance',
+  'save.section.fire': 'fire service',
+  'save.section.power': 'power',
+  'save.section.load': 'load weighing',
+  'save.section.intercom': 'intercom',
+  'save.section.access': 'card access',
+  'save.section.rng': 'random generator',
+  'save.section.eventWindow': 'random event window',
+  'save.section.lastPlayerCall': 'player\'s last call',
+  // sim/access.js
+  'access.tapped': 'Card ({cards}) tapped in lift{car}: floors {floors} unlocked for {s} s',
+  'access.tappedNone': 'Card ({cards}) tapped in lift{car}: it opens none of the locked floors',
+  'access.granted': 'Access to floor {floor} granted (lift{car})',
+  'access.grantedRider': '{id} taps a card: access to floor {floor} granted',
+  'access.refused': 'Access denied: floor {floor} needs a {cards} card — tap your card first',
+  'access.refusedRider': '{id} refused by the card reader (floor {floor} needs a {cards} card) and takes the stairs',
+  // script.js: log panel, announcements, labels
+  'ui.floor': 'Floor {floor}',
+  'ui.lift': 'Lift {car}',
+  'ui.unknown': 'unknown',
+  'ui.door.OPENING': 'Opening',
+  'ui.door.OPEN': 'Open',
+  'ui.door.CLOSING': 'Closing',
+  'ui.door.CLOSED': 'Closed',
+  'ui.door.LOCKED': 'Locked',
+  'ui.nudging': 'Door closing by force (nudging) — do not block the door.',
+  'ui.obstructed': 'Door sensor blocked — the door reopens.',
+  'ui.autoClosed': 'Door closed automatically after {s}s.',
+  'ui.doorState': 'Door {state}',
+  'ui.doorEvent.opening': 'opening',
+  'ui.doorEvent.open': 'open',
+  'ui.doorEvent.closing': 'closing',
+  'ui.doorEvent.closed': 'closed',
+  'ui.doorEvent.obstructed': 'obstructed',
+  'ui.call': 'Call: floor {floor} by {who}',
+  'ui.arrived': 'Lift{car} arrived at floor {floor}',
+  'ui.boarded': 'You are inside the lift.',
+  'ui.leftCar': 'You are outside the lift.',
+  'ui.say.fire': 'Fire detected. All lifts are returning to floor {floor}.',
+  'ui.say.firePhase2': 'Firefighters\' service, phase two',
+  'ui.say.fireReset': 'Fire alarm reset',
+  'ui.say.powerOn': 'Power is back. The lift is in normal service.',
+  'ui.say.powerOff': 'Power failure. Please stay calm, the lift will stop at the nearest floor.',
+  'ui.say.emergency': 'Emergency stop. Please stay calm, help is on its way.',
+  'ui.say.overload': 'Overload. Some passengers please step out.',
+  'ui.say.rescued': 'Floor {floor}. Please leave the lift.',
+  'ui.say.entered': 'You have entered the lift',
+  'ui.say.exited': 'You got off at floor {floor}',
+  'ui.say.doorOpen': 'Door opening',
+  'ui.say.doorClose': 'Door closing',
+  'ui.say.accessDenied': 'Access denied. Please tap your card.',
+  'ui.callUp': 'Call up at floor {floor}',
+  'ui.callDown': 'Call down at floor {floor}',
+  'ui.insideCar': 'You are inside the lift',
+  'ui.callAssigned': p => `Call: assigned${p.car ? ` to lift ${p.car}` : ''}`,
+  'ui.callWaiting': 'Call: waiting',
+  'ui.callRejected': 'Call not placed (duplicate/debounce).',
+  'ui.notServed': 'Lift {car} does not stop at floor {floor}',
+  'ui.alreadySelected': 'Floor {floor} is already selected.',
+  'ui.keypadInside': 'The keypad only works inside the car.',
+  'ui.requested': 'Floor {floor} requested (the lift moves once the door has closed).',
+  'ui.enter': 'Enter',
+  'ui.enterAria': 'Enter the lift at floor {floor}',
+  'ui.exit': 'Exit',
+  'ui.exitAria': 'Leave the lift at floor {floor}',
+  'ui.actionPanel': 'Quick actions (Enter/Exit)',
+  'ui.youInside': 'You: inside (from {floor})',
+  'ui.youOutside': 'You: {floor} (outside)',
+  'ui.display': 'Lift{car}: {floor} — {you}',
+  'ui.doorOpened': 'Door opened.',
+  'ui.doorOpenFailed': 'Could not open the door.',
+  'ui.doorClosing': 'Door closing now.',
+  'ui.doorCloseHeld': 'Door closing is held.',
+  'ui.alarmRecent': 'Alarm: already raised a moment ago.',
+  'ui.soundOn': 'Sound on',
+  'ui.soundOff': 'Sound off',
+  'ui.noFire': 'No fire alarm is active.',
+  'ui.powerAlreadyOff': 'The power is already off.',
+  'ui.powerNotOff': 'The power is not off.',
+  'ui.chainIntact': 'The safety chain is not broken.',
+  'ui.outOfService': 'OUT OF SERVICE',
+  'ui.status.fireParked': 'FIRE — PARKED',
+  'ui.status.fireRecall': 'FIRE RECALL',
+  'ui.status.firePhase2': 'FIRE PHASE II ({key})',
+  'ui.status.emergency': 'EMERGENCY — {device}',
+  'ui.device.doorLock': 'DOOR LOCK',
+  'ui.device.finalLimit': 'FINAL LIMIT',
+  'ui.device.governor': 'GOVERNOR',
+  'ui.rescue.braking': 'EMERGENCY BRAKING',
+  'ui.rescue.stopped': 'POWER FAILURE',
+  'ui.rescue.moving': 'BATTERY RESCUE',
+  'ui.rescue.parked': 'WAITING FOR POWER',
+  'ui.rescue.jammed': 'DOORS JAMMED',
+  'ui.state.IDLE': 'IDLE',
+  'ui.state.MOVING': 'MOVING',
+  'ui.state.ARRIVED': 'ARRIVED',
+  'ui.state.DOOR_OPEN': 'DOOR OPEN',
+  'ui.state.DOOR_CLOSED': 'DOOR CLOSED',
+  'ui.state.EMERGENCY': 'EMERGENCY',
+  'ui.state.OUT_OF_SERVICE': 'OUT OF SERVICE',
+  'ui.fireKey.off': 'OFF',
+  'ui.fireKey.hold': 'HOLD',
+  'ui.fireKey.on': 'ON',
+  'ui.overload': 'OVERLOAD',
+  'ui.badge.fire1': 'FIRE I',
+  'ui.badge.fire2': 'FIRE II',
+  'ui.badge.powerFail': 'POWER FAIL',
+  'ui.badge.emergency': 'EMERGENCY ({device})',
+  'ui.canvas.pos': 'Pos: {m} m',
+  'ui.canvas.vel': 'Vel: {v} m/s',
+  'ui.canvas.target': 'Target: {floor}',
+  'ui.canvas.load': 'Load: {kg} kg {pct}% ({n})',
+  'ui.kpi.stat': '{avg}{unit} · P50 {p50} · P90 {p90} · max {max}',
+  'ui.kpi.hallWait': 'Hall call wait',
+  'ui.kpi.toDestination': 'Time to destination',
+  'ui.kpi.stops': 'Stops per trip',
+  'ui.kpi.waitingOver': 'Waiting > 30 s / > 60 s',
+  'ui.kpi.distance': 'Distance travelled',
+  'ui.kpi.doorCycles': 'Door cycles',
+  'ui.kpi.energy': 'Energy',
+  'ui.kpi.trapped': 'Trapped (power failure)',
+  'ui.intercom.calling': 'calling the help desk',
+  'ui.intercom.talking': 'connected to the operator',
+  'ui.intercom.dispatched': 'technician on the way',
+  'ui.intercom.onsite': 'technician on site',
+  'ui.intercom.closed': 'session closed',
+  'ui.intercom.eta': '(arriving {at})',
+  'ui.intercom.none': 'No session.',
+  'ui.migrated': 'Save v{from} migrated to v{to}',
+  'ui.adjusted': 'Save adjusted to the configuration: {fixes}',
+  'ui.saveUnusable': 'Save unusable ({error}) — world initialized (fresh, seed {seed}).',
+  'ui.fresh': 'World initialized (fresh, seed {seed}).',
+  'ui.saved': 'World saved',
+  'ui.reset': 'World reset',
+  'ui.exported': 'World exported (save v{v}).',
+  'ui.importFailed': 'Import failed: {error}',
+  'ui.importRefused': 'Import refused — different building configuration: {diff}',
+  'ui.imported': p => `World imported (save v${p.from}${p.fixes ? `; ${p.fixes}` : ''}).`,
+  'ui.recording': 'Recording the session (seed {seed}).',
+  'ui.recorded': 'Recording finished: {inputs} inputs, {events} events, {ticks} ticks.',
+  'ui.replayStart': 'Replay started ({ticks} ticks).',
+  'ui.replayOk': 'Replay finished — identical to the recording.',
+  'ui.replayDiff': 'Replay finished — differs: {diff}',
+  'ui.scenarioRefused': 'Scenario refused: {error}',
+  'ui.scenarioStopped': 'Scenario stopped.',
+  'ui.kpiReset': 'KPIs reset',
+  'ui.paused': 'Simulation paused',
+  'ui.resumed': 'Simulation resumed',
+  'ui.pausedShort': 'paused',
+  'ui.speed': 'Simulation speed {x}×',
+  'ui.ff': 'Fast-forward',
+  'ui.ffCatchUp': 'Catching up since the last session',
+  'ui.ffStart': '{reason}: {d} of simulated time…',
+  'ui.ffDone': '{reason} done: {d} in {s} s',
+  'ui.dur.hm': '{h} h {m} min',
+  'ui.dur.m': '{m} min',
+  'ui.dur.s': '{s} s',
+  'ui.language': 'Language: English',
+  'ui.ready': 'Simulator ready — auto-enter/auto-exit off; enter and leave manually. Door dwell {minS}–{maxS}s (car calls {autoS}s); the Enter/Exit buttons work. Press "m" to mute/unmute, "p" to pause.',
+  'ui.locked': 'Floor {floor} locked — tap a card ({cards})',
+  'ui.unlocked': 'Floor {floor} unlocked by your card',
+  // index.html (data-i18n, data-i18n-aria, data-i18n-title, data-i18n-placeholder)
+  'html.app': 'The Only Lift - Passenger interface',
+  'html.brandSub': 'Passenger Simulator',
+  'html.header': 'Header',
+  'html.mute': 'Mute / Unmute (shortcut: m)',
+  'html.locale': 'Language',
+  'html.dispatch': 'Dispatch strategy',
+  'html.time': 'Simulation time',
+  'html.pause': 'Pause / resume (shortcut: p)',
+  'html.step': 'One step while paused (shortcut: .)',
+  'html.speed': 'Simulation speed',
+  'html.speedTitle': 'Simulation speed (shortcut: [ / ])',
+  'html.ffLength': 'Fast-forward length',
+  'html.ff10': '10 min',
+  'html.ff60': '1 hour',
+  'html.ff240': '4 hours',
+  'html.ff480': '8 hours',
+  'html.main': 'Simulator main area',
+  'html.visual': 'Visual lift area',
+  'html.canvas': '2D lift view',
+  'html.fallbackDoor': 'Door: —',
+  'html.passengerPanel': 'Passenger panel',
+  'html.display': 'Floor and status display',
+  'html.externalCalls': 'Hall calls (up/down buttons)',
+  'html.cabin': 'Car controls',
+  'html.doorControls': 'Door and alarm controls',
+  'html.doorOpen': 'Open the door',
+  'html.doorClose': 'Close the door',
+  'html.alarm': 'Emergency alarm',
+  'html.keypad': 'Floor buttons (in the car)',
+  'html.readouts': 'Lift information',
+  'html.load': 'Load',
+  'html.speedReadout': 'Speed',
+  'html.door': 'Door',
+  'html.period': 'Period',
+  'html.kpi': 'Performance (KPI)',
+  'html.kpiJson': 'Export the KPIs as JSON',
+  'html.kpiCsv': 'Export the KPIs as CSV',
+  'html.world': 'World data',
+  'html.export': 'Export',
+  'html.exportAria': 'Export the world as JSON',
+  'html.import': 'Import',
+  'html.importAria': 'Import a world from a JSON file',
+  'html.service': 'Service',
+  'html.fire': 'Fire',
+  'html.smokeFloor': 'Smoke detector floor',
+  'html.smoke': 'Trigger smoke',
+  'html.smokeAria': 'Trigger the smoke detector',
+  'html.reset': 'Reset',
+  'html.fireResetAria': 'Reset the fire alarm',
+  'html.fireKey': 'Phase II key',
+  'html.displaySmall': 'Lift: -- — You: --',
+  'html.intercom': 'Intercom',
+  'html.power': 'Power',
+  'html.outage': 'Outage length (seconds)',
+  'html.outagePlaceholder': 'length s',
+  'html.cut': 'Cut',
+  'html.cutAria': 'Cut the power',
+  'html.restore': 'Restore',
+  'html.restoreAria': 'Restore the power',
+  'html.safety': 'Safety chain',
+  'html.faultType': 'Fault type',
+  'html.fault.doorLock': 'Door lock contact',
+  'html.fault.runaway': 'Brake / drive failure (overspeed)',
+  'html.fault.overtravel': 'Overtravel past a terminal floor',
+  'html.inject': 'Inject',
+  'html.injectAria': 'Inject the fault',
+  'html.clear': 'Clear',
+  'html.clearAria': 'Clear the fault',
+  'html.chainReset': 'Manual reset',
+  'html.chainResetAria': 'Reset the safety chain',
+  'html.footer': 'Passenger panel — only the up/down buttons while you are outside; the floor keypad appears once you are in.',
+  'html.notSelected': 'Not selected',
+  'html.callUp': 'Call up',
+  'html.callDown': 'Call down',
+  'html.attention': 'Attention',
+  'html.close': 'Close',
+  'html.tapCard': 'Tap access card'
+};
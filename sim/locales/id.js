@@ -0,0 +1,415 @@
+// sim/locales/id.js
+// Indonesian messages (the default locale); keys are grouped by the module that uses them.
+
+export default {
+  // shared words
+  'dir.up': 'naik',
+  'dir.down': 'turun',
+  'who.player': 'Anda',
+  'who.npc': 'penghuni',
+  'who.scenario': 'skenario',
+  // sim/dispatch.js
+  'dispatch.nearest': 'Panggilan terdekat',
+  'dispatch.fcfs': 'Urutan kedatangan (FCFS)',
+  'dispatch.look': 'LOOK (kolektif searah)',
+  'dispatch.eta': 'Perkiraan waktu tiba (ETA)',
+  // sim/core.js
+  'core.relevel': 'Lift{car}: perataan ulang di lantai {floor} ({mm} mm)',
+  'core.playerEntered': 'Anda masuk ke lift{car} (manual) di lantai {floor}',
+  'core.enterFailed': 'Gagal masuk (manual) — mungkin sudah masuk atau terblokir.',
+  'core.exitFailed': 'Gagal keluar (manual) — mungkin sudah keluar atau terblokir.',
+  'core.playerExited': 'Anda keluar (manual) di lantai {floor}',
+  'core.floorNotServedByCar': 'Lantai {floor} tidak dilayani lift{car}.',
+  'core.floorNotServed': 'Lantai {floor} tidak dilayani lift mana pun.',
+  'core.callTooSoon': 'Panggilan diabaikan (terlalu cepat).',
+  'core.callIgnoredFire': 'Panggilan diabaikan — operasi kebakaran.',
+  'core.callIgnoredPower': 'Tombol tidak berfungsi — listrik padam.',
+  'core.callRegistered': 'Panggilan sudah terdaftar di lantai {floor}',
+  'core.playerCall': 'Panggil {dir} di lantai {floor}',
+  'core.call': '{who} memanggil {dir} di lantai {floor}',
+  'core.unknownStrategy': 'Strategi dispatch tidak dikenal: {id}',
+  'core.strategy': 'Strategi dispatch: {label}',
+  'core.assigned': 'Lift{car} ditugaskan ke panggilan di lantai {floor} (oleh {who})',
+  'core.boarded': '{id} naik di lantai {floor} → {to} (~{kg} kg)',
+  'core.alighted': '{id} turun di lantai {floor}',
+  'core.steppedBack': '{id} keluar lagi di lantai {floor} (overload)',
+  'core.evacuatedFire': '{id} dievakuasi di lantai {floor}',
+  'core.evacuatedOut': '{id} turun di lantai {floor} (lift{car} keluar layanan)',
+  'core.evacuatedPower': '{id} turun di lantai {floor} (lift{car} dievakuasi, listrik padam)',
+  'core.doorJam': p => `Pintu macet${p.car ? ` (lift${p.car})` : ''}.`,
+  'core.jammedOpen': 'Pintu macet terbuka.',
+  'core.jammedClosed': 'Pintu macet tertutup.',
+  'core.noteJammedOpen': 'pintu macet terbuka',
+  'core.noteJammedClosed': 'pintu macet tertutup',
+  'core.reasonDoorJam': 'pintu macet',
+  // sim/fire.js
+  'fire.smoke': 'Detektor asap aktif di lantai {floor}',
+  'fire.recall': 'Fase I: semua lift kembali ke lantai {floor}',
+  'fire.recallAlternate': 'Fase I: semua lift kembali ke lantai {floor} (lantai alternatif)',
+  'fire.hallsCleared': '{n} orang di lobi lift dievakuasi lewat tangga',
+  'fire.keyNeedsParked': 'Kunci fase II hanya berfungsi pada lift yang terparkir fase I.',
+  'fire.phase2On': 'Fase II: lift{car} dikendalikan petugas pemadam',
+  'fire.phase2Hold': 'Fase II: lift{car} ditahan (HOLD)',
+  'fire.keyOffNeedsOpen': 'Kunci OFF baru berlaku saat pintu terbuka penuh.',
+  'fire.keyOffPhase1': 'Kunci OFF: lift{car} kembali ke fase I (lantai {floor})',
+  'fire.keyOffNormal': 'Kunci OFF: lift{car} kembali ke layanan normal',
+  'fire.reset': 'Alarm kebakaran direset — lift kembali ke layanan normal',
+  // sim/maintenance.js
+  'comp.door': 'pintu',
+  'comp.motor': 'motor',
+  'maint.noteWorn': '{comp} aus ({pct}%)',
+  'maint.worn': 'Lift{car}: {comp} aus ({pct}%) — performa menurun',
+  'maint.noteParked': 'parkir OUT OF SERVICE',
+  'maint.parked': 'Lift{car} OUT OF SERVICE di lantai {floor}',
+  'maint.noteOut': 'keluar layanan: {reason}',
+  'maint.out': 'Lift{car} keluar layanan ({reason})',
+  'maint.called': 'Teknisi dipanggil untuk lift{car} (~{min} menit)',
+  'maint.noteIn': 'kembali beroperasi',
+  'maint.done': 'Teknisi selesai: lift{car} kembali beroperasi',
+  // sim/power.js
+  'power.lost': 'Listrik padam — rem darurat, lampu darurat menyala',
+  'power.parked': 'Lift{car} diparkir di lantai {floor} dengan pintu terbuka',
+  'power.rescued': 'Penumpang lift{car} terjebak {secs} s — dievakuasi di lantai {floor}',
+  'power.jammed': 'Lift{car} tiba di lantai {floor} dengan baterai tetapi pintunya macet tertutup — menunggu teknisi',
+  'power.restored': 'Listrik kembali (padam {secs} s)',
+  // sim/load.js
+  'load.over': 'OVERLOAD lift{car}: {kg} kg ({pct}%) — pintu ditahan terbuka',
+  'load.normal': 'Lift{car}: beban normal kembali',
+  'load.full': 'Lift{car} penuh ({pct}%) — panggilan lantai dilewati',
+  'load.nuisance': 'Anti-nuisance lift{car}: {n} panggilan kabin dibatalkan (beban {kg} kg)',
+  // sim/safety.js
+  'safety.device.doorLock': 'kontak kunci pintu terbuka',
+  'safety.device.finalLimit': 'saklar batas akhir',
+  'safety.device.governor': 'governor overspeed ({speed} m/s), safety gear menjepit rel',
+  'safety.noteTrip': 'rantai pengaman putus: {what}',
+  'safety.trip': 'DARURAT lift{car}: {what} — lift berhenti, perlu reset manual',
+  'safety.faultOn': 'Gangguan {fault} disuntikkan ke lift{car}',
+  'safety.faultOff': 'Gangguan {fault} dihapus dari lift{car}',
+  'safety.resetMoving': 'Reset ditolak: lift{car} belum berhenti.',
+  'safety.resetFaults': 'Reset ditolak: gangguan {faults} pada lift{car} belum diperbaiki.',
+  'safety.noteReset': 'rantai pengaman direset ({device})',
+  'safety.reset': 'Rantai pengaman lift{car} direset — kembali beroperasi',
+  // sim/intercom.js
+  'intercom.system': 'Interkom lift{car}: {text}',
+  'intercom.stillCalling': 'masih menghubungi help desk…',
+  'intercom.helpComing': 'alarm sudah diterima, bantuan dalam proses',
+  'intercom.alarm': 'ALARM ditekan — menghubungi help desk',
+  'intercom.operator': 'Operator {name}',
+  'intercom.helpDesk': 'Operator help desk',
+  'intercom.answer': 'Help desk lift, saya mendengar Anda. Apakah ada yang terluka?',
+  'intercom.diagnosis': 'Sistem kami menunjukkan: {found}.',
+  'intercom.noFault': 'Sistem kami tidak menunjukkan gangguan, teknisi tetap akan memeriksa lift.',
+  'intercom.dispatched': 'Teknisi sedang menuju ke lokasi, perkiraan tiba {min} menit lagi (pukul {at}). Mohon tetap tenang; ventilasi dan lampu tetap menyala.',
+  'intercom.found.trip': 'rantai pengaman putus ({device})',
+  'intercom.found.fault': 'gangguan {fault}',
+  'intercom.found.power': 'listrik padam',
+  'intercom.found.between': 'lift tertahan di antara lantai ({m} m)',
+  'intercom.found.overload': 'beban lebih ({pct}%)',
+  'intercom.found.out': 'lift keluar layanan',
+  'intercom.technician': 'Teknisi',
+  'intercom.findings': 'temuan: {found}',
+  'intercom.nothingFound': 'tidak ada gangguan ditemukan',
+  'intercom.arrived': 'tiba di lift{car} — {findings}',
+  'intercom.technicianArrived': 'Teknisi tiba di lift{car} — {findings}',
+  'intercom.freed': 'lift{car} dibebaskan, sesi interkom ditutup ({secs} s sejak alarm)',
+  'intercom.checked': 'lift{car} selesai diperiksa, sesi interkom ditutup ({secs} s sejak alarm)',
+  // sim/traffic.js
+  'traffic.period': p => `Periode lalu lintas: ${p.name}${p.perMin ? ` (${p.perMin}/menit)` : ''}`,
+  'traffic.quiet': 'sepi',
+  // sim/scenario.js
+  'scenario.badTime': 'Waktu tidak valid: {v}',
+  'scenario.carAt': 'lift{car} di lantai {floor} sebelum t={by}s',
+  'scenario.arrivedAt': 'tiba t={t}s',
+  'scenario.wasAt': 'di lantai {floor} pada t={t}s',
+  'scenario.endedBefore': 'skenario berakhir sebelum t={t}s',
+  'scenario.maxWait': 'tidak ada panggilan menunggu > {s}s',
+  'scenario.late': 'panggilan {dir} di lantai {floor} lewat {s}s (t={t}s)',
+  'scenario.heldToEnd': 'terpenuhi sampai akhir',
+  'scenario.never': 'semua lift tidak pernah {state}',
+  'scenario.neverCar': 'lift {car} tidak pernah {state}',
+  'scenario.entered': 'lift{car} {state} pada t={t}s',
+  'scenario.notObject': 'Skenario harus berupa objek JSON',
+  'scenario.action': 'aksi #{n}',
+  'scenario.assertion': 'asersi #{n}',
+  'scenario.unknownType': 'jenis "{type}" tidak dikenal',
+  'scenario.badT': 't harus angka ≥ 0',
+  'scenario.badPositive': '{field} harus angka > 0 (bukan {value})',
+  'scenario.badFloor': 'lantai tidak valid',
+  'scenario.needs': '{fields} wajib diisi',
+  'scenario.unknownState': 'state "{state}" tidak dikenal',
+  'scenario.noCar': 'Lift "{car}" tidak ada',
+  'scenario.unnamed': 'tanpa nama',
+  'scenario.started': 'Skenario "{name}" dimulai: {actions} aksi, {asserts} asersi, {s} s',
+  'scenario.noEffect': 'Skenario: aksi {action} pada t={t}s tidak berlaku',
+  'scenario.pass': 'Skenario LULUS: {label} — {detail}',
+  'scenario.fail': 'Skenario GAGAL: {label} — {detail}',
+  'scenario.finished': 'Skenario "{name}" selesai: {passed}/{total} asersi lulus',
+  // sim/save.js
+  'save.diff.floors': 'jumlah lantai {from} → {to}',
+  'save.diff.height': 'tinggi lantai {from} → {to} m',
+  'save.diff.elevations': 'ketinggian lantai',
+  'save.diff.labels': 'label lantai {from} → {to}',
+  'save.diff.cars': 'lift {from} → {to}',
+  'save.diff.served': 'lantai layanan lift {car}',
+  'save.diff.capacity': 'kapasitas lift {car} {from} → {to} kg',
+  'save.err.formatOf': 'Bukan save LiftSim (format {format})',
+  'save.err.format': 'Bukan save LiftSim',
+  'save.err.empty': 'Save kosong atau bukan objek',
+  'save.err.version': 'Versi save tidak valid: {v}',
+  'save.err.newer': 'Save versi {v} lebih baru dari yang didukung ({max})',
+  'save.err.noWorld': 'Save tanpa data dunia',
+  'save.err.noCars': 'Save tanpa data lift',
+  'save.err.position': 'Posisi lift #{n} tidak valid',
+  'save.fix.dropped': '{n} {what} di lantai yang tidak ada dihapus',
+  'save.fix.position': 'posisi lift {car} dipindah ke dalam shaft',
+  'save.fix.playerFloor': 'lantai pemain disesuaikan',
+  'save.what.stops': 'tujuan lift',
+  'save.what.riders': 'penumpang',
+  'save.what.calls': 'panggilan',
+  'save.what.waiting': 'orang menunggu',
+  'save.fix.malformed': '{n} {what} rusak dibuang',
+  'save.fix.reset': 'data {what} tidak terbaca, dimulai baru',
+  'save.fix.building': 'deskripsi gedung tidak terbaca, tidak dibandingkan dengan gedung ini',
+  'save.what.trips': 'perjalanan selesai',
+  'save.section.metrics': 'KPI',
+  'save.section.traffic': 'lalu lintas',
+  'save.section.maintenance': 'perawatan',
+  'save.section.fire': 'kebakaran',
+  'save.section.power': 'listrik',
+  'save.section.load': 'penimbangan beban',
+  'save.section.intercom': 'interkom',
+  'save.section.access': 'akses kartu',
+  'save.section.rng': 'pembangkit acak',
+  'save.section.eventWindow': 'batas kejadian acak',
+  'save.section.lastPlayerCall': 'panggilan terakhir pemain',
+  // sim/access.js
+  'access.tapped': 'Kartu ({cards}) ditempelkan di lift{car}: lantai {floors} terbuka selama {s} detik',
+  'access.tappedNone': 'Kartu ({cards}) ditempelkan di lift{car}: tidak ada lantai terkunci yang dibuka kartu ini',
+  'access.granted': 'Akses ke lantai {floor} diberikan (lift{car})',
+  'access.grantedRider': '{id} menempelkan kartu: akses ke lantai {floor} diberikan',
+  'access.refused': 'Akses ditolak: lantai {floor} butuh kartu {cards} — tempelkan kartu dulu',
+  'access.refusedRider': '{id} ditolak pembaca kartu (lantai {floor} butuh kartu {cards}) dan naik tangga',
+  // script.js: log panel, announcements, labels
+  'ui.floor': 'Lantai {floor}',
+  'ui.lift': 'Lift {car}',
+  'ui.unknown': 'tidak diketahui',
+  'ui.door.OPENING': 'Membuka',
+  'ui.door.OPEN': 'Terbuka',
+  'ui.door.CLOSING': 'Menutup',
+  'ui.door.CLOSED': 'Tertutup',
+  'ui.door.LOCKED': 'Terkunci',
+  'ui.nudging': 'Pintu ditutup paksa (nudging) — jangan menghalangi pintu.',
+  'ui.obstructed': 'Sensor pintu terhalang — pintu membuka kembali.',
+  'ui.autoClosed': 'Pintu otomatis ditutup setelah {s}s.',
+  'ui.doorState': 'Pintu {state}',
+  'ui.doorEvent.opening': 'membuka',
+  'ui.doorEvent.open': 'terbuka',
+  'ui.doorEvent.closing': 'menutup',
+  'ui.doorEvent.closed': 'tertutup',
+  'ui.doorEvent.obstructed': 'terhalang',
+  'ui.call': 'Panggilan: lantai {floor} oleh {who}',
+  'ui.arrived': 'Lift{car} tiba di lantai {floor}',
+  'ui.boarded': 'Anda berada di dalam lift.',
+  'ui.leftCar': 'Anda berada di luar lift.',
+  'ui.say.fire': 'Kebakaran terdeteksi. Semua lift kembali ke lantai {floor}.',
+  'ui.say.firePhase2': 'Operasi petugas pemadam, fase dua',
+  'ui.say.fireReset': 'Alarm kebakaran direset',
+  'ui.say.powerOn': 'Listrik kembali. Lift beroperasi normal.',
+  'ui.say.powerOff': 'Listrik padam. Harap tenang, lift akan berhenti di lantai terdekat.',
+  'ui.say.emergency': 'Lift berhenti darurat. Harap tenang, bantuan segera datang.',
+  'ui.say.overload': 'Beban lebih. Mohon sebagian penumpang keluar.',
+  'ui.say.rescued': 'Lantai {floor}. Silakan keluar dari lift.',
+  'ui.say.entered': 'Anda masuk ke lift',
+  'ui.say.exited': 'Anda turun di lantai {floor}',
+  'ui.say.doorOpen': 'Pintu terbuka',
+  'ui.say.doorClose': 'Pintu menutup',
+  'ui.say.accessDenied': 'Akses ditolak. Tempelkan kartu Anda.',
+  'ui.callUp': 'Panggil naik di lantai {floor}',
+  'ui.callDown': 'Panggil turun di lantai {floor}',
+  'ui.insideCar': 'Anda berada di dalam lift',
+  'ui.callAssigned': p => `Panggilan: ditugaskan${p.car ? ` ke lift ${p.car}` : ''}`,
+  'ui.callWaiting': 'Panggilan: menunggu',
+  'ui.callRejected': 'Panggilan tidak dibuat (duplicate/debounce).',
+  'ui.notServed': 'Lift {car} tidak berhenti di lantai {floor}',
+  'ui.alreadySelected': 'Lantai {floor} sudah dipilih.',
+  'ui.keypadInside': 'Keypad hanya aktif saat berada di dalam kabin.',
+  'ui.requested': 'Meminta lantai {floor} (akan bergerak setelah pintu tertutup).',
+  'ui.enter': 'Masuk',
+  'ui.enterAria': 'Masuk lift di lantai {floor}',
+  'ui.exit': 'Keluar',
+  'ui.exitAria': 'Keluar lift di lantai {floor}',
+  'ui.actionPanel': 'Tindakan cepat (Masuk/Keluar)',
+  'ui.youInside': 'Anda: di dalam (asal {floor})',
+  'ui.youOutside': 'Anda: {floor} (di luar)',
+  'ui.display': 'Lift{car}: {floor} — {you}',
+  'ui.doorOpened': 'Pintu dibuka.',
+  'ui.doorOpenFailed': 'Gagal membuka pintu.',
+  'ui.doorClosing': 'Pintu segera ditutup.',
+  'ui.doorCloseHeld': 'Penutupan pintu tertahan.',
+  'ui.alarmRecent': 'Alarm: sudah dipanggil baru-baru ini.',
+  'ui.soundOn': 'Suara aktif',
+  'ui.soundOff': 'Suara dimatikan',
+  'ui.noFire': 'Tidak ada alarm kebakaran aktif.',
+  'ui.powerAlreadyOff': 'Listrik sudah padam.',
+  'ui.powerNotOff': 'Listrik tidak sedang padam.',
+  'ui.chainIntact': 'Rantai pengaman tidak putus.',
+  'ui.outOfService': 'OUT OF SERVICE',
+  'ui.status.fireParked': 'FIRE — PARKIR',
+  'ui.status.fireRecall': 'FIRE RECALL',
+  'ui.status.firePhase2': 'FIRE FASE II ({key})',
+  'ui.status.emergency': 'EMERGENCY — {device}',
+  'ui.device.doorLock': 'KUNCI PINTU',
+  'ui.device.finalLimit': 'BATAS AKHIR',
+  'ui.device.governor': 'GOVERNOR',
+  'ui.rescue.braking': 'REM DARURAT',
+  'ui.rescue.stopped': 'LISTRIK PADAM',
+  'ui.rescue.moving': 'EVAKUASI BATERAI',
+  'ui.rescue.parked': 'MENUNGGU LISTRIK',
+  'ui.rescue.jammed': 'PINTU MACET',
+  'ui.state.IDLE': 'DIAM',
+  'ui.state.MOVING': 'BERGERAK',
+  'ui.state.ARRIVED': 'TIBA',
+  'ui.state.DOOR_OPEN': 'PINTU TERBUKA',
+  'ui.state.DOOR_CLOSED': 'PINTU TERTUTUP',
+  'ui.state.EMERGENCY': 'DARURAT',
+  'ui.state.OUT_OF_SERVICE': 'TIDAK BEROPERASI',
+  'ui.fireKey.off': 'MATI',
+  'ui.fireKey.hold': 'TAHAN',
+  'ui.fireKey.on': 'NYALA',
+  'ui.overload': 'KELEBIHAN BEBAN',
+  'ui.badge.fire1': 'FIRE FASE I',
+  'ui.badge.fire2': 'FIRE FASE II',
+  'ui.badge.powerFail': 'LISTRIK PADAM',
+  'ui.badge.emergency': 'DARURAT ({device})',
+  'ui.canvas.pos': 'Posisi: {m} m',
+  'ui.canvas.vel': 'Kec: {v} m/s',
+  'ui.canvas.target': 'Tujuan: {floor}',
+  'ui.canvas.load': 'Beban: {kg} kg {pct}% ({n})',
+  'ui.kpi.stat': '{avg}{unit} · P50 {p50} · P90 {p90} · maks {max}',
+  'ui.kpi.hallWait': 'Tunggu panggilan',
+  'ui.kpi.toDestination': 'Waktu ke tujuan',
+  'ui.kpi.stops': 'Berhenti per perjalanan',
+  'ui.kpi.waitingOver': 'Menunggu > 30 s / > 60 s',
+  'ui.kpi.distance': 'Jarak tempuh',
+  'ui.kpi.doorCycles': 'Siklus pintu',
+  'ui.kpi.energy': 'Energi',
+  'ui.kpi.trapped': 'Terjebak (listrik padam)',
+  'ui.intercom.calling': 'menghubungi help desk',
+  'ui.intercom.talking': 'terhubung dengan operator',
+  'ui.intercom.dispatched': 'teknisi dalam perjalanan',
+  'ui.intercom.onsite': 'teknisi di lokasi',
+  'ui.intercom.closed': 'sesi selesai',
+  'ui.intercom.eta': '(tiba {at})',
+  'ui.intercom.none': 'Tidak ada sesi.',
+  'ui.migrated': 'Save v{from} dimigrasi ke v{to}',
+  'ui.adjusted': 'Save disesuaikan dengan konfigurasi: {fixes}',
+  'ui.saveUnusable': 'Save tidak dapat dipakai ({error}) — dunia baru dibuat (seed {seed}).',
+  'ui.fresh': 'Dunia baru dibuat (seed {seed}).',
+  'ui.saved': 'Dunia disimpan',
+  'ui.reset': 'Dunia direset',
+  'ui.exported': 'Dunia diekspor (save v{v}).',
+  'ui.importFailed': 'Impor gagal: {error}',
+  'ui.importRefused': 'Impor ditolak — konfigurasi gedung berbeda: {diff}',
+  'ui.imported': p => `Dunia diimpor (save v${p.from}${p.fixes ? `; ${p.fixes}` : ''}).`,
+  'ui.recording': 'Merekam sesi (seed {seed}).',
+  'ui.recorded': 'Rekaman selesai: {inputs} input, {events} event, {ticks} tick.',
+  'ui.replayStart': 'Replay dimulai ({ticks} tick).',
+  'ui.replayOk': 'Replay selesai — identik dengan rekaman.',
+  'ui.replayDiff': 'Replay selesai — berbeda: {diff}',
+  'ui.scenarioRefused': 'Skenario ditolak: {error}',
+  'ui.scenarioStopped': 'Skenario dihentikan.',
+  'ui.kpiReset': 'KPI direset',
+  'ui.paused': 'Simulasi dijeda',
+  'ui.resumed': 'Simulasi dilanjutkan',
+  'ui.pausedShort': 'jeda',
+  'ui.speed': 'Kecepatan simulasi {x}×',
+  'ui.ff': 'Maju cepat',
+  'ui.ffCatchUp': 'Mengejar waktu sejak sesi terakhir',
+  'ui.ffStart': '{reason}: {d} waktu simulasi…',
+  'ui.ffDone': '{reason} selesai: {d} dalam {s} s',
+  'ui.dur.hm': '{h} j {m} mnt',
+  'ui.dur.m': '{m} mnt',
+  'ui.dur.s': '{s} s',
+  'ui.language': 'Bahasa: Indonesia',
+  'ui.ready': 'Simulator siap — Auto-enter/auto-exit dimatikan; masuk/keluar manual. Dwell pintu {minS}–{maxS}s (panggilan lantai {autoS}s); tombol Masuk/Keluar berfungsi. Tekan "m" untuk mute/unmute, "p" untuk jeda.',
+  'ui.locked': 'Lantai {floor} terkunci — tempelkan kartu ({cards})',
+  'ui.unlocked': 'Lantai {floor} terbuka dengan kartu',
+  // index.html (data-i18n, data-i18n-aria, data-i18n-title, data-i18n-placeholder)
+  'html.app': 'The Only Lift - antarmuka penumpang',
+  'html.brandSub': 'Simulator Penumpang',
+  'html.header': 'Kepala halaman',
+  'html.mute': 'Bisukan / bunyikan (shortcut: m)',
+  'html.locale': 'Bahasa',
+  'html.dispatch': 'Strategi dispatch',
+  'html.time': 'Waktu simulasi',
+  'html.pause': 'Jeda / lanjut (shortcut: p)',
+  'html.step': 'Satu langkah saat dijeda (shortcut: .)',
+  'html.speed': 'Kecepatan simulasi',
+  'html.speedTitle': 'Kecepatan simulasi (shortcut: [ / ])',
+  'html.ffLength': 'Durasi maju cepat',
+  'html.ff10': '10 mnt',
+  'html.ff60': '1 jam',
+  'html.ff240': '4 jam',
+  'html.ff480': '8 jam',
+  'html.main': 'Area utama simulator',
+  'html.visual': 'Area visual lift',
+  'html.canvas': 'Tampilan lift 2D',
+  'html.fallbackDoor': 'Pintu: —',
+  'html.passengerPanel': 'Panel penumpang',
+  'html.display': 'Tampilan lantai dan status',
+  'html.externalCalls': 'Panggilan luar (tombol atas/bawah)',
+  'html.cabin': 'Kontrol dalam kabin',
+  'html.doorControls': 'Kontrol pintu dan alarm',
+  'html.doorOpen': 'Buka pintu',
+  'html.doorClose': 'Tutup pintu',
+  'html.alarm': 'Alarm darurat',
+  'html.keypad': 'Tombol lantai (dalam kabin)',
+  'html.readouts': 'Informasi lift',
+  'html.load': 'Berat',
+  'html.speedReadout': 'Kecepatan',
+  'html.door': 'Pintu',
+  'html.period': 'Periode',
+  'html.kpi': 'Kinerja (KPI)',
+  'html.kpiJson': 'Ekspor KPI sebagai JSON',
+  'html.kpiCsv': 'Ekspor KPI sebagai CSV',
+  'html.world': 'Data dunia',
+  'html.export': 'Ekspor',
+  'html.exportAria': 'Ekspor dunia sebagai JSON',
+  'html.import': 'Impor',
+  'html.importAria': 'Impor dunia dari file JSON',
+  'html.service': 'Servis',
+  'html.fire': 'Kebakaran',
+  'html.smokeFloor': 'Lantai detektor asap',
+  'html.smoke': 'Picu asap',
+  'html.smokeAria': 'Picu detektor asap',
+  'html.reset': 'Reset',
+  'html.fireResetAria': 'Reset alarm kebakaran',
+  'html.fireKey': 'Kunci fase II',
+  'html.displaySmall': 'Lift: -- — Anda: --',
+  'html.intercom': 'Interkom',
+  'html.power': 'Listrik',
+  'html.outage': 'Lama listrik padam (detik)',
+  'html.outagePlaceholder': 'durasi s',
+  'html.cut': 'Putus',
+  'html.cutAria': 'Putus listrik',
+  'html.restore': 'Pulihkan',
+  'html.restoreAria': 'Pulihkan listrik',
+  'html.safety': 'Rantai pengaman',
+  'html.faultType': 'Jenis gangguan',
+  'html.fault.doorLock': 'Kontak kunci pintu',
+  'html.fault.runaway': 'Rem / drive gagal (overspeed)',
+  'html.fault.overtravel': 'Lewat lantai ujung',
+  'html.inject': 'Suntik',
+  'html.injectAria': 'Suntikkan gangguan',
+  'html.clear': 'Hapus',
+  'html.clearAria': 'Hapus gangguan',
+  'html.chainReset': 'Reset manual',
+  'html.chainResetAria': 'Reset rantai pengaman',
+  'html.footer': 'Panel penumpang — hanya tombol atas/bawah jika Anda di luar; keypad lantai muncul setelah masuk.',
+  'html.notSelected': 'Belum dipilih',
+  'html.callUp': 'Panggil naik',
+  'html.callDown': 'Panggil turun',
+  'html.attention': 'Perhatian',
+  'html.close': 'Tutup',
+  'html.tapCard': 'Tempelkan kartu akses'
+};
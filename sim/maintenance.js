@@ -0,0 +1,114 @@
+// sim/maintenance.js
+// Component wear and the service history, fed by World after every step.
+// Each car's parts (health 0–100) wear:
+//   door:  doorWearPerCycle per door opening
+//   motor: motorWearPerTrip per start from rest, plus motorWearAtFullLoad scaled by load / rated load
+// Below degradedBelow a part misbehaves (a weak motor runs slower and misses the floor level, see
+// Elevator.motionLimits / levellingError). Below outOfServiceBelow, or on a door jam, the car leaves
+// service: it takes no more calls, lets its riders out at the next stop, and parks OUT OF SERVICE
+// until the technician visit (technicianMinutes after the call-out) restores its parts.
+// Every fault, repair and change of service is kept in history (newest last, capped).
+
+import { t } from './i18n.js';
+
+const MAX_HISTORY = 500;
+
+export class Maintenance {
+  constructor(cfg) {
+    this.cfg = cfg.maintenance || {};
+    this.history = [];
+    // per car id: last seen door / moving flags, parts already reported worn, technician due (ts or null)
+    this.cars = {};
+  }
+
+  track(e) {
+    return this.cars[e.id] || (this.cars[e.id] = { lastOpen: e.doorsOpen, moving: !!e.plan, worn: {}, visitAt: null });
+  }
+
+  record(world, e, kind, comp, note) {
+    const entry = { ts: world.clock.now(), car: e.id, kind, comp, health: comp ? Math.round(e.components[comp]) : null, note };
+    this.history.push(entry);
+    if (this.history.length > MAX_HISTORY) this.history.splice(0, this.history.length - MAX_HISTORY);
+    world.sink('lift:service', entry);
+    return entry;
+  }
+
+  wear(e, comp, amount) {
+    if (e.components[comp] !== undefined) e.components[comp] = Math.max(0, e.components[comp] - amount);
+  }
+
+  onStep(world) {
+    const c = this.cfg;
+    for (const e of world.cars) {
+      const tr = this.track(e);
+      if (e.doorsOpen && !tr.lastOpen) this.wear(e, 'door', c.doorWearPerCycle);
+      tr.lastOpen = e.doorsOpen;
+      if (e.plan && !tr.moving) this.wear(e, 'motor', c.motorWearPerTrip + (c.motorWearAtFullLoad * e.loadKg) / e.ratedLoadKg);
+      tr.moving = !!e.plan;
+      for (const [comp, health] of Object.entries(e.components)) {
+        if (health < c.degradedBelow && !tr.worn[comp]) {
+          tr.worn[comp] = true;
+          this.record(world, e, 'fault', comp, t('maint.noteWorn', { comp: t(`comp.${comp}`), pct: Math.round(health) }));
+          world.log(t('maint.worn', { car: world.carTag(e), comp: t(`comp.${comp}`), pct: Math.round(health) }));
+        }
+        if (health < c.outOfServiceBelow && e.serviceMode === 'normal') this.takeOutOfService(world, e, `${t(`comp.${comp}`)} ${Math.round(health)}%`);
+      }
+      // a car leaving service parks once everyone is out and the doors are locked
+      if (e.serviceMode === 'leaving' && e.readyToPark()) {
+        e.park();
+        this.record(world, e, 'out', null, t('maint.noteParked'));
+        world.log(t('maint.parked', { car: world.carTag(e), floor: world.floorLabel(e.metersToFloor(e.position)) }));
+      }
+    }
+  }
+
+  takeOutOfService(world, e, reason) {
+    if (e.serviceMode !== 'normal') return;
+    e.serviceMode = 'leaving';
+    world.releaseHallCalls(e);
+    this.record(world, e, 'fault', null, t('maint.noteOut', { reason }));
+    world.log(t('maint.out', { car: world.carTag(e), reason }));
+    this.callTechnician(world, e);
+  }
+
+  // one visit per car at a time; the visit is a scheduled world event ('service_visit'). Returns when
+  // the technician is due
+  callTechnician(world, e) {
+    const tr = this.track(e);
+    if (tr.visitAt !== null) return tr.visitAt;
+    const [min, max] = this.cfg.technicianMinutes || [5, 15];
+    tr.visitAt = world.clock.now() + world.rng.range(min, max) * 60_000;
+    world.scheduled.push({ ts: tr.visitAt, type: 'service_visit', payload: { car: e.id } });
+    world.log(t('maint.called', { car: world.carTag(e), min: Math.round((tr.visitAt - world.clock.now()) / 60_000) }));
+    return tr.visitAt;
+  }
+
+  // technician visit: worn or damaged parts (or only `comp`) are restored and the car returns to service
+  visit(world, e, comp = null) {
+    if (comp && e.components[comp] === undefined) return;
+    const tr = this.track(e);
+    tr.visitAt = null;
+    for (const part of comp ? [comp] : Object.keys(e.components)) {
+      if (e.components[part] === undefined || e.components[part] >= 100) continue;
+      this.record(world, e, 'repair', part, `${t(`comp.${part}`)} ${Math.round(e.components[part])}% → 100%`);
+      e.components[part] = 100;
+      tr.worn[part] = false;
+    }
+    e.releaseDoors();
+    if (e.serviceMode === 'leaving' || e.serviceMode === 'out') {
+      e.returnToService();
+      this.record(world, e, 'in', null, t('maint.noteIn'));
+    }
+    world.log(t('maint.done', { car: world.carTag(e) }));
+  }
+
+  serialize() { return { history: this.history.map(h => ({ ...h })), cars: JSON.parse(JSON.stringify(this.cars)) }; }
+
+  static deserialize(obj, cfg) {
+    const m = new Maintenance(cfg);
+    if (!obj) return m;
+    m.history = obj.history || [];
+    m.cars = obj.cars || {};
+    return m;
+  }
+}
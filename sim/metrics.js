@@ -0,0 +1,166 @@
+// sim/metrics.js
+// Service-quality KPIs, fed by World hooks and serialized with the world:
+//   hall call wait (call ts -> served), time to destination (passenger spawn -> alight),
+//   stops per trip (car stops from boarding to alighting), distance travelled and door cycles per car,
+//   how long people were trapped by a power failure (loss -> doors open after the rescue), and the
+//   energy drawn per car (ENERGY below).
+// report() aggregates avg / P50 / P90 / max over the last maxSamples of each (null keeps them all);
+// toCSV() flattens a report for export.
+
+const MAX_SAMPLES = 2000;
+const G = 9.81;
+
+// traction energy per step: work against the car / counterweight imbalance plus the change in
+// kinetic energy of everything moving, drawn at `efficiency`; work given back while braking or
+// running light up is recovered at regenShare (0 = dumped in a braking resistor). Controller,
+// lighting and fan use standbyW all the time.
+const energyStep = (cfg, e, m, dtS) => {
+  const c = cfg.energy || {};
+  const car = c.carMassKg ?? 1000;
+  const counterweight = car + e.ratedLoadKg * (cfg.power?.counterweightShare ?? 0.45);
+  const moving = car + e.loadKg + counterweight;
+  const work = (car + e.loadKg - counterweight) * G * (e.position - m.lastPos) + 0.5 * moving * (e.velocity ** 2 - (m.lastVel ?? e.velocity) ** 2);
+  const traction = work > 0 ? work / (c.efficiency ?? 0.75) : work * (c.regenShare ?? 0);
+  return traction + (c.standbyW ?? 150) * dtS;
+};
+
+// nearest-rank percentile of an ascending array
+const percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] : null);
+const round = (v, d = 2) => (v === null ? null : Math.round(v * 10 ** d) / 10 ** d);
+
+export function summarize(samples) {
+  const s = samples.slice().sort((a, b) => a - b);
+  const sum = s.reduce((a, b) => a + b, 0);
+  return {
+    count: s.length,
+    avg: s.length ? round(sum / s.length) : null,
+    p50: round(percentile(s, 50)),
+    p90: round(percentile(s, 90)),
+    max: s.length ? round(s[s.length - 1]) : null
+  };
+}
+
+export class Metrics {
+  constructor(startTs = 0, maxSamples = MAX_SAMPLES) {
+    this.maxSamples = maxSamples;
+    this.reset(startTs);
+  }
+
+  reset(startTs = 0) {
+    this.since = startTs;
+    this.hallWaitS = [];
+    this.tripS = [];
+    this.stopsPerTrip = [];
+    this.trappedS = [];
+    // per car id: metres travelled, door openings, stops made, energy (J); last seen position,
+    // velocity, door flag and clock
+    this.cars = {};
+    // car stop count when each riding passenger boarded
+    this.boardStops = {};
+  }
+
+  push(list, v) { list.push(v); if (this.maxSamples !== null && list.length > this.maxSamples) list.splice(0, list.length - this.maxSamples); }
+
+  car(e) {
+    return this.cars[e.id] || (this.cars[e.id] = { distanceM: 0, doorCycles: 0, stops: 0, energyJ: 0, lastPos: e.position, lastVel: e.velocity, lastOpen: e.doorsOpen, lastTs: null });
+  }
+
+  onCallServed(call) { this.push(this.hallWaitS, (call.servedTs - call.ts) / 1000); }
+  onArrival(e) { this.car(e).stops++; }
+  onTrapped(secs) { this.push(this.trappedS, secs); }
+  onBoard(p, e) { this.boardStops[p.id] = this.car(e).stops; }
+  // got off before their floor (stepped back out, put off the car): no stops-per-trip sample
+  onUnboard(p) { delete this.boardStops[p.id]; }
+
+  onAlight(p, e) {
+    this.push(this.tripS, (p.alightTs - p.spawnTs) / 1000);
+    if (this.boardStops[p.id] !== undefined) {
+      this.push(this.stopsPerTrip, this.car(e).stops - this.boardStops[p.id]);
+      delete this.boardStops[p.id];
+    }
+  }
+
+  // distance, door cycles and energy are sampled from car state after every world step
+  onStep(world) {
+    const now = world.clock.now();
+    for (const e of world.cars) {
+      const m = this.car(e);
+      m.distanceM += Math.abs(e.position - m.lastPos);
+      m.energyJ = (m.energyJ || 0) + energyStep(world.cfg, e, m, m.lastTs === null || m.lastTs === undefined ? 0 : Math.max(0, now - m.lastTs) / 1000);
+      m.lastPos = e.position;
+      m.lastVel = e.velocity;
+      m.lastTs = now;
+      if (e.doorsOpen && !m.lastOpen) m.doorCycles++;
+      m.lastOpen = e.doorsOpen;
+    }
+  }
+
+  // share of hall calls that waited longer than `sec`; calls still open count with their age so far
+  shareOver(sec, openAgesS) {
+    const all = this.hallWaitS.concat(openAgesS);
+    return all.length ? round(all.filter(w => w > sec).length / all.length, 3) : null;
+  }
+
+  report(world) {
+    const now = world.clock.now();
+    const open = world.calls.filter(c => c.status === 'pending' || c.status === 'assigned').map(c => (now - c.ts) / 1000);
+    const byCar = {};
+    const kWh = j => round((j || 0) / 3.6e6, 3);
+    for (const [id, m] of Object.entries(this.cars)) byCar[id] = { distanceM: round(m.distanceM, 1), doorCycles: m.doorCycles, stops: m.stops, energyKWh: kWh(m.energyJ) };
+    const total = key => Object.values(this.cars).reduce((a, m) => a + (m[key] || 0), 0);
+    return {
+      since: this.since,
+      at: now,
+      hallWaitS: summarize(this.hallWaitS),
+      timeToDestinationS: summarize(this.tripS),
+      stopsPerTrip: summarize(this.stopsPerTrip),
+      trappedS: summarize(this.trappedS),
+      waitingOver30s: this.shareOver(30, open),
+      waitingOver60s: this.shareOver(60, open),
+      distanceM: round(total('distanceM'), 1),
+      doorCycles: total('doorCycles'),
+      energyKWh: kWh(total('energyJ')),
+      cars: byCar
+    };
+  }
+
+  serialize() {
+    return {
+      since: this.since, hallWaitS: this.hallWaitS.slice(), tripS: this.tripS.slice(), stopsPerTrip: this.stopsPerTrip.slice(), trappedS: this.trappedS.slice(),
+      cars: JSON.parse(JSON.stringify(this.cars)), boardStops: { ...this.boardStops }
+    };
+  }
+
+  static deserialize(obj, startTs, maxSamples = MAX_SAMPLES) {
+    const m = new Metrics(startTs, maxSamples);
+    if (!obj) return m;
+    m.since = obj.since ?? startTs;
+    m.hallWaitS = obj.hallWaitS || [];
+    m.tripS = obj.tripS || [];
+    m.stopsPerTrip = obj.stopsPerTrip || [];
+    m.trappedS = obj.trappedS || [];
+    m.cars = obj.cars || {};
+    m.boardStops = obj.boardStops || {};
+    return m;
+  }
+}
+
+// one row per statistic: metric,count,avg,p50,p90,max (shares and totals fill `avg`)
+export function toCSV(report) {
+  const rows = [['metric', 'count', 'avg', 'p50', 'p90', 'max']];
+  for (const key of ['hallWaitS', 'timeToDestinationS', 'stopsPerTrip', 'trappedS']) {
+    const s = report[key];
+    rows.push([key, s.count, s.avg, s.p50, s.p90, s.max]);
+  }
+  rows.push(['waitingOver30s', '', report.waitingOver30s, '', '', '']);
+  rows.push(['waitingOver60s', '', report.waitingOver60s, '', '', '']);
+  rows.push(['distanceM', '', report.distanceM, '', '', '']);
+  rows.push(['doorCycles', '', report.doorCycles, '', '', '']);
+  rows.push(['energyKWh', '', report.energyKWh, '', '', '']);
+  for (const [id, c] of Object.entries(report.cars)) {
+    rows.push([`car ${id} distanceM`, '', c.distanceM, '', '', '']);
+    rows.push([`car ${id} doorCycles`, '', c.doorCycles, '', '', '']);
+    rows.push([`car ${id} energyKWh`, '', c.energyKWh, '', '', '']);
+  }
+  return rows.map(r => r.map(v => (v === null || v === undefined ? '' : v)).join(',')).join('\n');
+}
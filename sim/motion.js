@@ -0,0 +1,69 @@
+// sim/motion.js
+// Jerk-limited (S-curve) trajectory planning for a car travelling to a stop.
+// A profile is a list of constant-jerk segments { t, j } applied from a start state (v0, a0) along
+// the travel direction; the car samples it by elapsed time, so the ride is exact whatever the step size.
+// Shape: change speed to a peak vp (jerk up, hold accel, jerk down), cruise at vp, then the mirror
+// down to rest at the stop. vp is the highest speed (<= vmax) whose profile still fits the distance.
+// limits: { vmax, accel, brake, jerk }
+
+// segments taking (v0, a0) to (v1, 0): accel ramps to a peak, holds, ramps to zero
+function speedChange(v0, a0, v1, limits) {
+  const J = limits.jerk;
+  // speed reached by only relaxing the current acceleration
+  const vr = v0 + (a0 * Math.abs(a0)) / (2 * J);
+  const s = v1 >= vr ? 1 : -1;
+  const A = s > 0 ? limits.accel : limits.brake;
+  // solve in the frame where the change is a speed-up
+  const dv = s * (v1 - v0), a = s * a0;
+  let p = Math.sqrt(Math.max(0, (2 * J * dv + a * a) / 2));
+  let hold = 0;
+  if (p > A) { p = A; hold = (dv - (2 * A * A - a * a) / (2 * J)) / A; }
+  const peak = s * p;
+  return [
+    { t: Math.abs(peak - a0) / J, j: Math.sign(peak - a0) * J },
+    { t: Math.max(0, hold), j: 0 },
+    { t: Math.abs(peak) / J, j: -Math.sign(peak) * J }
+  ].filter(g => g.t > 1e-9);
+}
+
+// state after running `segs` for `t` seconds (or to the end) from (x, v, a)
+export function sampleProfile(segs, t, x = 0, v = 0, a = 0) {
+  for (const g of segs) {
+    const dt = Math.min(t, g.t);
+    x += v * dt + (a * dt * dt) / 2 + (g.j * dt * dt * dt) / 6;
+    v += a * dt + (g.j * dt * dt) / 2;
+    a += g.j * dt;
+    t -= dt;
+    if (t <= 0) break;
+  }
+  return { x, v, a };
+}
+
+const duration = segs => segs.reduce((s, g) => s + g.t, 0);
+const distanceOf = (segs, v0, a0) => sampleProfile(segs, Infinity, 0, v0, a0).x;
+
+// shortest distance in which a car at (v, a) along its travel direction can come to rest
+export function stoppingDistance(v, a, limits) {
+  if (Math.abs(v) < 1e-6 && Math.abs(a) < 1e-6) return 0;
+  return distanceOf(speedChange(v, a, 0, limits), v, a);
+}
+
+// plan from (v0, a0) to rest `dist` metres ahead. reach = false when the stop is already too close:
+// the profile then only brakes to rest as soon as possible (the caller replans from there).
+export function planStop(dist, v0, a0, limits) {
+  const stopSegs = speedChange(v0, a0, 0, limits);
+  if (distanceOf(stopSegs, v0, a0) > dist + 1e-6) return { segs: stopSegs, duration: duration(stopSegs), reach: false };
+  // the distance needed grows with the peak speed: bisect for the highest peak that fits
+  const needed = vp => distanceOf(speedChange(v0, a0, vp, limits), v0, a0) + distanceOf(speedChange(vp, 0, 0, limits), vp, 0);
+  let lo = 0, hi = limits.vmax;
+  if (needed(hi) <= dist) lo = hi;
+  else for (let i = 0; i < 40; i++) { const mid = (lo + hi) / 2; if (needed(mid) <= dist) lo = mid; else hi = mid; }
+  const vp = lo;
+  const up = speedChange(v0, a0, vp, limits), down = speedChange(vp, 0, 0, limits);
+  const rest = dist - distanceOf(up, v0, a0) - distanceOf(down, vp, 0);
+  const segs = vp > 1e-6 && rest > 1e-9 ? [...up, { t: rest / vp, j: 0 }, ...down] : [...up, ...down];
+  return { segs, duration: duration(segs), reach: true };
+}
+
+// door-to-door travel time over `dist` metres from standstill
+export const travelTime = (dist, limits) => (dist > 0 ? planStop(dist, 0, 0, limits).duration : 0);
@@ -0,0 +1,34 @@
+// sim/passenger.js
+// One simulated rider (not the player). Waits in its origin floor's hall queue, boards a car that
+// stops there going its way, rides to its destination and alights. Timestamps are on the world clock.
+
+export class Passenger {
+  constructor({ id, weightKg, origin, destination, spawnTs, boardTs = null, alightTs = null, car = null, refusedBy = null, cards = [] }) {
+    this.id = id;
+    this.weightKg = weightKg;
+    this.origin = origin;
+    this.destination = destination;
+    this.spawnTs = spawnTs;
+    this.boardTs = boardTs;
+    this.alightTs = alightTs;
+    // id of the car boarded (kept after alighting)
+    this.car = car;
+    // id of the car that turned this passenger away (overload) until it leaves their floor
+    this.refusedBy = refusedBy;
+    // access card groups carried (sim/access.js)
+    this.cards = cards;
+  }
+
+  // the hall button this passenger presses
+  get dir() { return this.destination > this.origin ? 'up' : 'down'; }
+  get state() { return this.alightTs !== null ? 'arrived' : this.boardTs !== null ? 'riding' : 'waiting'; }
+
+  serialize() {
+    return {
+      id: this.id, weightKg: this.weightKg, origin: this.origin, destination: this.destination,
+      spawnTs: this.spawnTs, boardTs: this.boardTs, alightTs: this.alightTs, car: this.car, refusedBy: this.refusedBy, cards: this.cards.slice()
+    };
+  }
+
+  static deserialize(obj) { return new Passenger(obj); }
+}
@@ -0,0 +1,84 @@
+// sim/power.js
+// Mains power for the bank and the battery rescue after a power failure ('power_loss' world event).
+// On a loss every car in service brakes to an emergency stop (between floors if it was travelling),
+// the cabin switches to emergency lighting, and after rescueDelayS a battery drive takes it at low
+// speed to the nearest floor in the lighter direction (Elevator.rescueFloor). There the doors open,
+// riders get out and the car waits for power ('power_restore', outageS later); doors jammed shut
+// stay shut until a technician frees them. Time from the loss to the doors opening is logged and
+// fed to the metrics for cars with people aboard.
+
+import { t } from './i18n.js';
+
+export class PowerSupply {
+  constructor(cfg) {
+    this.cfg = cfg.power || {};
+    this.on = true;
+    // when the current outage started (null while powered)
+    this.lostAt = null;
+  }
+
+  // durationS = how long until power returns; a random outage length when not given
+  lose(world, durationS = null) {
+    if (!this.on) return false;
+    const now = world.clock.now();
+    this.on = false;
+    this.lostAt = now;
+    for (const e of world.cars) {
+      if (e.serviceMode === 'out' || e.trip) continue;
+      world.releaseHallCalls(e);
+      e.startRescue(now, e.riders.length > 0 || e.playerInside);
+    }
+    const [min, max] = this.cfg.outageS || [60, 600];
+    const secs = durationS ?? world.rng.range(min, max);
+    world.scheduled.push({ ts: now + secs * 1000, type: 'power_restore' });
+    world.log(t('power.lost'));
+    world.sink('lift:power', { on: false });
+    return true;
+  }
+
+  // the car's rescue trip ended at a floor: the doors opened, or are jammed shut (rescue.phase
+  // 'jammed') and the riders wait for the technician, who calls this again once they open
+  onRescued(world, e) {
+    const floor = e.metersToFloor(e.position);
+    if (e.rescue.phase === 'jammed') {
+      world.log(t('power.jammed', { car: world.carTag(e), floor: world.floorLabel(floor) }));
+      world.sink('lift:rescued', { car: e.id, floor, jammed: true });
+      return;
+    }
+    if (!e.rescue.trapped) { world.log(t('power.parked', { car: world.carTag(e), floor: world.floorLabel(floor) })); return; }
+    const secs = (world.clock.now() - e.rescue.since) / 1000;
+    world.metrics.onTrapped(secs);
+    world.log(t('power.rescued', { car: world.carTag(e), secs: Math.round(secs), floor: world.floorLabel(floor) }));
+    world.sink('lift:rescued', { car: e.id, floor, trappedS: secs });
+  }
+
+  restore(world) {
+    if (this.on) return false;
+    const secs = Math.round((world.clock.now() - this.lostAt) / 1000);
+    this.on = true;
+    this.lostAt = null;
+    for (const e of world.cars) {
+      if (!e.rescue) continue;
+      e.endRescue();
+      // a fire alarm raised during the outage still recalls the car
+      if (world.fire.active && e.serviceMode !== 'fire2') world.fire.recall(world, e);
+    }
+    // the player's car call went with the stops at the loss: press it again, or forget it when the
+    // player got out at the rescue floor or the car takes no car calls
+    const f = world.playerRequestedFloor, car = world.playerCar();
+    if (f !== null && !(car && car.requestFloor(f))) world.playerRequestedFloor = null;
+    world.log(t('power.restored', { secs }));
+    world.sink('lift:power', { on: true });
+    return true;
+  }
+
+  serialize() { return { on: this.on, lostAt: this.lostAt }; }
+
+  static deserialize(obj, cfg) {
+    const p = new PowerSupply(cfg);
+    if (!obj) return p;
+    p.on = obj.on ?? true;
+    p.lostAt = obj.lostAt ?? null;
+    return p;
+  }
+}
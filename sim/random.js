@@ -0,0 +1,33 @@
+// sim/random.js
+// Seeded PRNG (mulberry32) used by the model instead of Math.random, so a run is
+// fully determined by its seed + inputs. State is a single uint32 and serializes with the world.
+
+export const randomSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+export class Rng {
+  constructor(seed = randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(a, b) { return a + this.next() * (b - a); }
+  int(n) { return Math.floor(this.next() * n); }
+  chance(p) { return this.next() < p; }
+
+  serialize() { return { seed: this.seed, state: this.state }; }
+
+  static deserialize(obj, fallbackSeed) {
+    const r = new Rng(obj?.seed ?? fallbackSeed);
+    if (obj && obj.state !== undefined) r.state = obj.state >>> 0;
+    return r;
+  }
+}
@@ -0,0 +1,129 @@
+// sim/recorder.js
+// Deterministic session capture & replay.
+// A recording = starting world snapshot (incl. PRNG state) + every player input and every
+// fired scheduled event, stamped with the step index ("tick") and simulation time, + the dt
+// of each World.step. Replaying re-applies the inputs tick-for-tick on a SimClock, so the
+// elevator position and logs come out identical; fired events are compared, not re-injected.
+
+import { World, SimClock } from './core.js';
+
+export const RECORDING_FORMAT = 'only-lift-recording';
+export const RECORDING_VERSION = 1;
+
+const clone = v => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+
+// what the end of a run must look like for a replay to count as identical
+const summarize = (world, tick) => ({
+  tick,
+  t: world.clock.now(),
+  position: world.elev.position,
+  velocity: world.elev.velocity,
+  logs: world.logs.slice(0, 50)
+});
+
+/* -------------------------
+   Recorder: attach to a live world, stop() returns the recording (plain JSON)
+------------------------- */
+export class Recorder {
+  constructor(world) {
+    this.world = world;
+    this.tick = 0;
+    this.data = {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      cfg: clone(world.cfg),
+      start: clone(world.serialize()),
+      steps: [],      // run-length encoded dt: [[dtSec, count], ...]
+      inputs: [],     // { tick, t, type, args }
+      events: []      // { tick, t, type, payload }
+    };
+    world.recorder = this;
+  }
+
+  onStep(dt) {
+    const steps = this.data.steps;
+    const last = steps[steps.length - 1];
+    if (last && last[0] === dt) last[1]++;
+    else steps.push([dt, 1]);
+    this.tick++;
+  }
+
+  onInput(type, args) { this.data.inputs.push({ tick: this.tick, t: this.world.clock.now(), type, args: clone(args) }); }
+
+  onEvent(type, payload) { this.data.events.push({ tick: this.tick, t: this.world.clock.now(), type, payload: clone(payload) }); }
+
+  stop() {
+    if (this.world.recorder === this) this.world.recorder = null;
+    this.data.end = summarize(this.world, this.tick);
+    return this.data;
+  }
+}
+
+/* -------------------------
+   Replayer: rebuilds the world from the recording's snapshot and drives it.
+   tick() advances one recorded step (returns false when finished) so the browser can
+   replay at frame rate; runToEnd() does it all at once (Node / checks).
+------------------------- */
+export class Replayer {
+  constructor(recording, { sink } = {}) {
+    if (!recording || recording.format !== RECORDING_FORMAT) throw new Error('Not a LiftSim recording');
+    if (recording.version !== RECORDING_VERSION) throw new Error(`Unsupported recording version ${recording.version}`);
+    this.rec = recording;
+    this.clock = new SimClock(recording.start.ts ?? 0);
+    this.world = World.deserialize(clone(recording.start), { cfg: clone(recording.cfg), clock: this.clock, sink });
+    // re-record while replaying so the result can be compared with the original
+    this.recorder = new Recorder(this.world);
+    this.stepRun = 0;
+    this.stepInRun = 0;
+    this.inputIdx = 0;
+    this.done = false;
+    this.result = null;
+  }
+
+  applyInputs() {
+    const inputs = this.rec.inputs;
+    while (this.inputIdx < inputs.length && inputs[this.inputIdx].tick <= this.recorder.tick) {
+      const inp = inputs[this.inputIdx++];
+      this.world.input(inp.type, clone(inp.args));
+    }
+  }
+
+  nextDt() {
+    const run = this.rec.steps[this.stepRun];
+    if (!run) return undefined;
+    if (++this.stepInRun >= run[1]) { this.stepRun++; this.stepInRun = 0; }
+    return run[0];
+  }
+
+  tick() {
+    if (this.done) return false;
+    this.applyInputs();
+    const dt = this.nextDt();
+    if (dt === undefined) { this.finish(); return false; }
+    this.world.step(dt);
+    return true;
+  }
+
+  runToEnd() {
+    while (this.tick());
+    return this.result;
+  }
+
+  finish() {
+    this.done = true;
+    const replayed = this.recorder.stop();
+    const mismatches = [];
+    const expected = this.rec.end;
+    const got = replayed.end;
+    const eventKey = e => `${e.tick}:${e.type}`;
+    const evA = this.rec.events.map(eventKey).join('|'), evB = replayed.events.map(eventKey).join('|');
+    if (evA !== evB) mismatches.push('events');
+    if (expected) {
+      if (expected.tick !== got.tick) mismatches.push('tick');
+      if (expected.position !== got.position) mismatches.push('position');
+      if (JSON.stringify(expected.logs) !== JSON.stringify(got.logs)) mismatches.push('logs');
+    }
+    this.result = { ok: mismatches.length === 0, mismatches, expected, got };
+    return this.result;
+  }
+}
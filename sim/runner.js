@@ -0,0 +1,85 @@
+// sim/runner.js
+// Drives the simulation in fixed steps of simulated time, independent of the wall clock:
+// pause / resume, single steps, a speed multiplier (wall ms -> simulated ms) and fast-forward.
+// Live running, stepping and fast-forward all run the same fixed step, so an hour fast-forwarded
+// ends exactly where an hour of live running would (the world's SimClock only moves with steps).
+
+export const SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 20, 50];
+export const MIN_SPEED = SPEEDS[0];
+export const MAX_SPEED = SPEEDS[SPEEDS.length - 1];
+
+const clampSpeed = x => Math.max(MIN_SPEED, Math.min(MAX_SPEED, Number(x) || 1));
+
+export class SimRunner {
+  // tick() advances the simulation by one step of stepMs; returning false ends a run early (a replay
+  // that has finished)
+  constructor(tick, { stepMs = 1000 / 60, speed = 1 } = {}) {
+    this.tick = tick;
+    this.stepMs = stepMs;
+    this.speed = clampSpeed(speed);
+    this.paused = false;
+    // simulated ms owed to the live loop, and whether a fast-forward is running
+    this.owed = 0;
+    this.busy = false;
+  }
+
+  setSpeed(x) { this.speed = clampSpeed(x); return this.speed; }
+  // next / previous entry of SPEEDS
+  faster() { return this.setSpeed(SPEEDS.find(s => s > this.speed) ?? MAX_SPEED); }
+  slower() { return this.setSpeed([...SPEEDS].reverse().find(s => s < this.speed) ?? MIN_SPEED); }
+
+  pause() { this.paused = true; this.owed = 0; }
+  resume() { this.paused = false; }
+  toggle() { if (this.paused) this.resume(); else this.pause(); return this.paused; }
+
+  // live loop: wallMs since the last frame. At most maxSteps run per call; a backlog beyond that is
+  // dropped, so a slow page falls behind instead of freezing. Returns the steps run.
+  advance(wallMs, maxSteps = 120) {
+    if (this.paused || this.busy) return 0;
+    this.owed += wallMs * this.speed;
+    let n = 0;
+    while (this.owed >= this.stepMs && n < maxSteps) {
+      this.owed -= this.stepMs;
+      n++;
+      if (this.tick() === false) break;
+    }
+    if (n >= maxSteps) this.owed = Math.min(this.owed, this.stepMs);
+    return n;
+  }
+
+  // one step, paused or not
+  stepOnce() {
+    if (this.busy) return false;
+    this.tick();
+    return true;
+  }
+
+  // simMs of simulated time at once (whole steps); returns the steps run
+  run(simMs) {
+    const steps = Math.round(simMs / this.stepMs);
+    for (let i = 0; i < steps; i++) if (this.tick() === false) return i + 1;
+    return steps;
+  }
+
+  // the same in slices of sliceSteps, awaiting yieldFn between slices so a page stays responsive;
+  // onProgress(done, total) after each slice. Resolves to the steps run.
+  async fastForward(simMs, { sliceSteps = 3000, onProgress = null, yieldFn = () => new Promise(r => setTimeout(r, 0)) } = {}) {
+    if (this.busy) return 0;
+    this.busy = true;
+    const total = Math.round(simMs / this.stepMs);
+    let done = 0;
+    try {
+      while (done < total) {
+        const end = Math.min(total, done + sliceSteps);
+        let stopped = false;
+        while (done < end && !stopped) { done++; stopped = this.tick() === false; }
+        if (onProgress) onProgress(done, total);
+        if (stopped) break;
+        if (done < total) await yieldFn();
+      }
+    } finally {
+      this.busy = false;
+    }
+    return done;
+  }
+}
@@ -0,0 +1,86 @@
+// sim/safety.js
+// The safety chain of every car, checked by World after each step. Its contacts in series:
+//   doorLock:   car and landing door lock contacts; open while the car runs = the chain breaks
+//   finalLimit: final limit switches finalLimitM past the top and bottom landings
+//   governor:   overspeed governor, trips at governorTripPct of the car's rated speed and sets the
+//               safety gear, which grips the rails (safetyGearDecelMps2)
+// Any break stops the car (machine brake at brakeDecelMps2, or the safety gear) and puts it in
+// EMERGENCY (Elevator.trip) until a manual reset from the service panel ('safetyReset').
+// Faults can be injected per car to exercise the chain ('safetyFault'):
+//   doorLock:   a lock contact reads open
+//   runaway:    drive / brake failure, the car keeps accelerating (-> governor)
+//   overtravel: terminal slowdown failure, the car drives through the end landing (-> final limit)
+// A reset is refused while an injected fault is still active.
+
+import { t } from './i18n.js';
+
+export const SAFETY_FAULTS = ['doorLock', 'runaway', 'overtravel'];
+
+export class SafetyChain {
+  constructor(cfg) {
+    this.cfg = cfg.safety || {};
+  }
+
+  // first open contact of a car's chain, or null
+  openContact(e) {
+    const c = this.cfg, moving = Math.abs(e.velocity) > 0.01 || !!e.plan;
+    if (moving && (!e.doorsLocked || e.faults.includes('doorLock'))) return 'doorLock';
+    const top = e.floorToMeters(e.floors - 1), lim = c.finalLimitM ?? 0.15;
+    // a car already beyond the limit may be wound back in
+    if ((e.position > top + lim && e.velocity > 0) || (e.position < -lim && e.velocity < 0)) return 'finalLimit';
+    if (Math.abs(e.velocity) > (e.maxSpeedMps * (c.governorTripPct ?? 115)) / 100) return 'governor';
+    return null;
+  }
+
+  onStep(world) {
+    for (const e of world.cars) {
+      if (e.trip) continue;
+      const device = this.openContact(e);
+      if (device) this.trip(world, e, device);
+    }
+  }
+
+  trip(world, e, device) {
+    const c = this.cfg;
+    const gear = device === 'governor';
+    const speed = Math.abs(e.velocity);
+    e.tripSafety(device, gear ? c.safetyGearDecelMps2 ?? 5 : c.brakeDecelMps2 ?? 3);
+    world.releaseHallCalls(e);
+    const what = t(`safety.device.${device}`, { speed: speed.toFixed(2) });
+    world.maintenance.record(world, e, 'fault', null, t('safety.noteTrip', { what }));
+    world.log(t('safety.trip', { car: world.carTag(e), what }));
+    world.sink('lift:safety', { car: e.id, device, tripped: true, speed });
+  }
+
+  // injected faults stay on the car until cleared (active = false)
+  fault(world, e, name, active = true) {
+    if (!SAFETY_FAULTS.includes(name)) return false;
+    const has = e.faults.includes(name);
+    if (active === has) return true;
+    e.faults = active ? [...e.faults, name] : e.faults.filter(f => f !== name);
+    world.log(t(active ? 'safety.faultOn' : 'safety.faultOff', { fault: name, car: world.carTag(e) }));
+    return true;
+  }
+
+  // manual reset from the service panel: only a stopped car with no fault left
+  reset(world, e) {
+    if (!e.trip) return false;
+    if (e.trip.phase !== 'stopped') {
+      world.log(t('safety.resetMoving', { car: world.carTag(e) }));
+      return false;
+    }
+    if (e.faults.length) {
+      world.log(t('safety.resetFaults', { faults: e.faults.join(', '), car: world.carTag(e) }));
+      return false;
+    }
+    const device = e.trip.device;
+    e.resetSafety();
+    // an outage or a fire alarm raised meanwhile applies at once
+    if (!world.power.on) e.startRescue(world.clock.now(), e.riders.length > 0 || e.playerInside);
+    else if (world.fire.active && e.serviceMode !== 'fire2') world.fire.recall(world, e);
+    world.maintenance.record(world, e, 'in', null, t('safety.noteReset', { device }));
+    world.log(t('safety.reset', { car: world.carTag(e) }));
+    world.sink('lift:safety', { car: e.id, device, tripped: false });
+    return true;
+  }
+}
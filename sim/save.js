@@ -0,0 +1,200 @@
+// sim/save.js
+// Versioned world saves (localStorage and exported JSON files).
+// A save = { format, version, savedAt, building, world } where world is World.serialize() and
+// building (buildingOf) describes the shaft it was taken in, so an import can be checked against
+// the current config. Older saves are brought up to SAVE_VERSION by MIGRATIONS, one version at a
+// time, then validated against the config in use: stops, calls and people on floors that no longer
+// exist are dropped and positions are clamped into the shaft, malformed entries are dropped, an
+// unreadable service section (metrics, traffic, ...) starts fresh and an unreadable building is
+// not compared (each fix is reported). A save that cannot be read throws; callers fall back to a
+// fresh world.
+
+import { carSpecs, floorLabelOf, floorElevations } from './core.js';
+import { t } from './i18n.js';
+
+export const SAVE_FORMAT = 'only-lift-save';
+export const SAVE_VERSION = 2;
+
+const clone = v => JSON.parse(JSON.stringify(v));
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+const isObj = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const listOf = (v, ok) => Array.isArray(v) && v.every(ok);
+const valuesOf = (v, ok) => isObj(v) && Object.values(v).every(ok);
+// absent fields are fine: the deserializers default them
+const opt = (v, ok) => v === undefined || ok(v);
+const isPassenger = p => isObj(p) && typeof p.id === 'string' && isNum(p.origin) && isNum(p.destination) && isNum(p.spawnTs)
+  && opt(p.cards, Array.isArray);
+
+// the building a save was taken in (buildingOf), as compareBuilding reads it
+const isBuilding = b => isObj(b) && isNum(b.floors) && opt(b.floorHeightMeters, isNum)
+  && opt(b.floorElevations, v => listOf(v, isNum)) && opt(b.floorLabels, v => listOf(v, x => typeof x === 'string'))
+  && opt(b.cars, v => listOf(v, c => isObj(c) && typeof c.id === 'string'));
+
+// world sections with their own deserializer, checked with the world they belong to; one that fails
+// its check is dropped and starts fresh
+const SECTIONS = {
+  metrics: m => isObj(m) && ['hallWaitS', 'tripS', 'stopsPerTrip', 'trappedS'].every(k => opt(m[k], v => listOf(v, isNum)))
+    && opt(m.cars, v => valuesOf(v, isObj)) && opt(m.boardStops, v => valuesOf(v, isNum)),
+  // arrivals due before the save was taken would be generated all at once on load
+  traffic: (tr, w) => isObj(tr) && opt(tr.nextTs, v => listOf(v, x => x === null || (isNum(x) && !(x < w.ts)))),
+  maintenance: m => isObj(m) && opt(m.history, v => listOf(v, isObj)) && opt(m.cars, v => valuesOf(v, isObj)),
+  fire: f => isObj(f) && opt(f.smoke, Array.isArray),
+  power: isObj,
+  load: l => isObj(l) && opt(l.cars, v => valuesOf(v, isObj)),
+  intercom: ic => isObj(ic) && opt(ic.sessions, v => listOf(v, se => isObj(se) && listOf(se.transcript, isObj))),
+  access: a => isObj(a) && opt(a.taps, v => valuesOf(v, tp => isObj(tp) && Array.isArray(tp.cards))),
+  rng: r => isObj(r) && opt(r.state, isNum),
+  eventWindow: ew => isObj(ew) && isNum(ew.start) && isNum(ew.count),
+  lastPlayerCall: isObj
+};
+
+// the part of the config a save depends on
+export function buildingOf(cfg) {
+  return {
+    floors: cfg.floors,
+    floorHeightMeters: cfg.floorHeightMeters,
+    floorElevations: floorElevations(cfg),
+    floorLabels: Array.from({ length: cfg.floors }, (_, f) => floorLabelOf(cfg, f)),
+    cars: carSpecs(cfg).map(c => ({ id: c.id, servedFloors: c.servedFloors, capacityKg: c.capacityKg }))
+  };
+}
+
+// human-readable differences between two buildings ([] = same); saves from before version 2 carry no
+// building and are only repaired by validateSave
+export function compareBuilding(saved, current) {
+  if (!saved) return [];
+  const diff = [];
+  if (saved.floors !== current.floors) diff.push(t('save.diff.floors', { from: saved.floors, to: current.floors }));
+  // the landing heights decide the shaft; older saves only have the uniform floor height
+  if (saved.floorElevations) {
+    if (saved.floorElevations.join(',') !== current.floorElevations.join(',')) diff.push(t('save.diff.elevations'));
+  } else if (saved.floorHeightMeters !== current.floorHeightMeters) diff.push(t('save.diff.height', { from: saved.floorHeightMeters, to: current.floorHeightMeters }));
+  // saves from before floor labels carry none
+  if (saved.floorLabels && saved.floors === current.floors && saved.floorLabels.join(',') !== current.floorLabels.join(',')) diff.push(t('save.diff.labels', { from: saved.floorLabels.join(' '), to: current.floorLabels.join(' ') }));
+  const ids = b => (b.cars || []).map(c => c.id).join(',');
+  if (ids(saved) !== ids(current)) diff.push(t('save.diff.cars', { from: ids(saved), to: ids(current) }));
+  else {
+    current.cars.forEach((c, i) => {
+      const s = saved.cars[i];
+      if (JSON.stringify(s.servedFloors) !== JSON.stringify(c.servedFloors)) diff.push(t('save.diff.served', { car: c.id }));
+      if (s.capacityKg !== c.capacityKg) diff.push(t('save.diff.capacity', { car: c.id, from: s.capacityKg, to: c.capacityKg }));
+    });
+  }
+  return diff;
+}
+
+export function createSave(world, savedAt = world.clock.now()) {
+  return { format: SAVE_FORMAT, version: SAVE_VERSION, savedAt, building: buildingOf(world.cfg), world: world.serialize() };
+}
+
+// MIGRATIONS[n] turns a version n save into version n + 1
+const MIGRATIONS = {
+  // 1: the unversioned { ts, world } blob (or a bare world snapshot); single-car worlds had `elev`
+  1: raw => {
+    const world = raw.world || raw;
+    if (!Array.isArray(world.cars) && world.elev) { world.cars = [world.elev]; delete world.elev; }
+    return { format: SAVE_FORMAT, version: 2, savedAt: raw.ts ?? world.ts ?? null, building: null, world };
+  }
+};
+
+function versionOf(raw) {
+  if (raw.format === SAVE_FORMAT) return raw.version;
+  if (raw.format !== undefined) throw new Error(t('save.err.formatOf', { format: raw.format }));
+  if (raw.world || raw.cars || raw.elev) return 1;
+  throw new Error(t('save.err.format'));
+}
+
+export function migrateSave(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error(t('save.err.empty'));
+  let save = clone(raw);
+  const from = versionOf(save);
+  if (!Number.isInteger(from) || from < 1) throw new Error(t('save.err.version', { v: from }));
+  if (from > SAVE_VERSION) throw new Error(t('save.err.newer', { v: from, max: SAVE_VERSION }));
+  for (let v = from; v < SAVE_VERSION; v++) save = MIGRATIONS[v](save);
+  return { save, from };
+}
+
+// repairs a migrated save in place for `cfg`; returns the list of fixes, throws when unusable
+export function validateSave(save, cfg) {
+  const w = save.world, fixes = [];
+  if (!w || typeof w !== 'object') throw new Error(t('save.err.noWorld'));
+  if (!Array.isArray(w.cars) || !w.cars.length) throw new Error(t('save.err.noCars'));
+  // an unreadable building is treated like a save from before version 2: nothing to compare
+  if (save.building !== null && save.building !== undefined && !isBuilding(save.building)) {
+    save.building = null;
+    fixes.push(t('save.fix.building'));
+  }
+  const floors = cfg.floors, top = floorElevations(cfg)[floors - 1];
+  const onFloor = f => Number.isInteger(f) && f >= 0 && f < floors;
+  const drop = (list, keep, what) => {
+    const kept = list.filter(keep);
+    if (kept.length !== list.length) fixes.push(t('save.fix.dropped', { n: list.length - kept.length, what: t(what) }));
+    return kept;
+  };
+  // a list that is not one, or entries that are not what they should be, are dropped
+  const wellFormed = (list, ok, what) => {
+    if (list === undefined) return list;
+    if (!Array.isArray(list)) { fixes.push(t('save.fix.malformed', { n: 1, what: t(what) })); return []; }
+    const kept = list.filter(ok);
+    if (kept.length !== list.length) fixes.push(t('save.fix.malformed', { n: list.length - kept.length, what: t(what) }));
+    return kept;
+  };
+  for (const [key, ok] of Object.entries(SECTIONS)) {
+    if (w[key] === undefined || w[key] === null || ok(w[key], w)) continue;
+    delete w[key];
+    fixes.push(t('save.fix.reset', { what: t(`save.section.${key}`) }));
+  }
+  w.cars.forEach((c, i) => {
+    if (!c || typeof c !== 'object' || !isNum(c.pos)) throw new Error(t('save.err.position', { n: i + 1 }));
+    c.queue = wellFormed(c.queue, q => isNum(q) || (isObj(q) && isNum(q.floor)), 'save.what.stops');
+    c.riders = wellFormed(c.riders, isPassenger, 'save.what.riders');
+    if (c.plan && !(isObj(c.plan) && Array.isArray(c.plan.segs))) c.plan = null;
+    for (const k of ['components', 'rescue', 'trip', 'levelError']) if (c[k] !== undefined && c[k] !== null && !isObj(c[k])) c[k] = null;
+    if (c.faults !== undefined && !Array.isArray(c.faults)) c.faults = [];
+    if (c.pos < 0 || c.pos > top) {
+      fixes.push(t('save.fix.position', { car: c.id ?? i + 1 }));
+      c.pos = Math.max(0, Math.min(top, c.pos));
+      c.vel = 0; c.acc = 0; c.plan = null;
+    }
+    if (Array.isArray(c.queue)) c.queue = drop(c.queue, q => onFloor(typeof q === 'number' ? q : q?.floor), 'save.what.stops');
+    if (c.target !== null && c.target !== undefined && !onFloor(c.target)) { c.target = null; c.plan = null; }
+    if (c.arrivalFloor !== null && c.arrivalFloor !== undefined && !onFloor(c.arrivalFloor)) c.arrivalFloor = null;
+    if (Array.isArray(c.riders)) {
+      const before = c.riders;
+      c.riders = drop(before, p => onFloor(p?.destination), 'save.what.riders');
+      const lost = before.filter(p => !c.riders.includes(p)).reduce((kg, p) => kg + (p?.weightKg || 0), 0);
+      if (lost) c.loadKg = Math.max(0, (c.loadKg ?? 0) - lost);
+    }
+  });
+  w.calls = wellFormed(w.calls, c => isObj(c) && isNum(c.floor) && isNum(c.ts), 'save.what.calls');
+  w.completedTrips = wellFormed(w.completedTrips, isPassenger, 'save.what.trips');
+  if (w.hallQueues !== undefined && !Array.isArray(w.hallQueues)) { fixes.push(t('save.fix.malformed', { n: 1, what: t('save.what.waiting') })); w.hallQueues = []; }
+  if (Array.isArray(w.hallQueues)) w.hallQueues = w.hallQueues.map(q => wellFormed(Array.isArray(q) ? q : [], isPassenger, 'save.what.waiting'));
+  if (w.logs !== undefined && !listOf(w.logs, v => typeof v === 'string')) w.logs = [];
+  if (w.passengerSeq !== undefined && !isNum(w.passengerSeq)) w.passengerSeq = (w.completedTrips || []).length;
+  if (Array.isArray(w.calls)) w.calls = drop(w.calls, c => onFloor(c?.floor), 'save.what.calls');
+  if (Array.isArray(w.hallQueues)) {
+    if (w.hallQueues.length > floors) {
+      const gone = w.hallQueues.slice(floors).reduce((n, q) => n + (q?.length || 0), 0);
+      if (gone) fixes.push(t('save.fix.dropped', { n: gone, what: t('save.what.waiting') }));
+      w.hallQueues = w.hallQueues.slice(0, floors);
+    }
+    w.hallQueues = w.hallQueues.map(q => (Array.isArray(q) ? drop(q, p => onFloor(p?.destination), 'save.what.waiting') : []));
+  }
+  if (w.scheduled !== undefined && !Array.isArray(w.scheduled)) w.scheduled = [];
+  if (Array.isArray(w.scheduled)) w.scheduled = w.scheduled.filter(s => s && isNum(s.ts) && typeof s.type === 'string');
+  if (w.playerFloor !== undefined && !onFloor(w.playerFloor)) { fixes.push(t('save.fix.playerFloor')); w.playerFloor = Math.max(0, Math.min(floors - 1, Math.round(w.playerFloor) || 0)); }
+  if (w.playerRequestedFloor !== null && w.playerRequestedFloor !== undefined && !onFloor(w.playerRequestedFloor)) w.playerRequestedFloor = null;
+  if (w.fire) {
+    if (Array.isArray(w.fire.smoke)) w.fire.smoke = w.fire.smoke.filter(onFloor);
+    if (w.fire.recallTo !== null && w.fire.recallTo !== undefined && !onFloor(w.fire.recallTo)) w.fire.recallTo = cfg.fire?.recallFloor ?? 0;
+  }
+  return fixes;
+}
+
+// migrate + validate; { save, from, fixes }
+export function readSave(raw, cfg) {
+  const { save, from } = migrateSave(typeof raw === 'string' ? JSON.parse(raw) : raw);
+  const fixes = validateSave(save, cfg);
+  return { save, from, fixes };
+}
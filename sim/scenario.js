@@ -0,0 +1,199 @@
+// sim/scenario.js
+// Scripted QA scenarios: timed actions and assertions in JSON, run against a fresh World.
+//   {
+//     "name": "Rush to 7", "seed": 7, "start": "08:00", "durationS": 90, "config": { "floors": 12 },
+//     "actions": [ { "t": 0, "do": "spawn", "from": 0, "to": 7 }, { "t": 5, "do": "jamDoor", "car": "B" } ],
+//     "assert":  [ { "type": "carAt", "car": "A", "floor": 7, "by": 40 }, { "type": "never", "state": "EMERGENCY" } ]
+//   }
+// t and by are seconds of scenario time (steps x dtS), not the world clock, which setClock may move.
+// Actions (ACTIONS):
+//   spawn {from, to?, cards?}  hallCall {floor, dir}  carCall {floor, car?}  jamDoor {car?, open?}
+//   powerCut {durationS?}  powerRestore  setClock {time: "HH:MM" | ISO date | epoch ms}
+//   input {type, args}  any World.input (smoke, safetyFault, alarm, ...)
+// Assertions (ASSERTIONS), checked after every step until decided:
+//   carAt {car?, floor, by}  the car stands level at floor no later than t = by
+//   maxWait {seconds}        no hall call waits longer than that, answered or not
+//   never {state, car?}      no car (or the given one) is ever in EState `state`
+// Random traffic and random events are off unless the scenario's config turns them back on.
+// Each verdict and the summary go to the world log (the log panel in the browser).
+
+import { World, SimClock, EState, resolveConfig } from './core.js';
+import { t } from './i18n.js';
+
+export const SCENARIO_DEFAULTS = { traffic: { periods: [] }, randomEventRatePerSec: 0 };
+// scenario day when start is only a time of day
+const DEFAULT_DAY = new Date(2024, 0, 1, 10, 0).getTime();
+
+const isObj = v => !!v && typeof v === 'object' && !Array.isArray(v);
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+// config groups are merged one level deep, as resolveConfig does over the defaults
+function mergeConfig(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {})) out[k] = isObj(v) && isObj(base[k]) ? { ...base[k], ...v } : v;
+  return out;
+}
+
+// "HH:MM[:SS]" on the day of `ref`, an ISO date or epoch ms
+export function parseClock(v, ref = DEFAULT_DAY) {
+  if (isNum(v)) return v;
+  const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(v));
+  if (m) { const d = new Date(ref); d.setHours(+m[1], +m[2], +(m[3] || 0), 0); return d.getTime(); }
+  const ms = Date.parse(v);
+  if (Number.isNaN(ms)) throw new Error(t('scenario.badTime', { v }));
+  return ms;
+}
+
+const carOf = (w, id) => (id === undefined || id === null ? w.elev : w.carById(String(id)));
+
+const ACTIONS = {
+  spawn: (w, a) => !!w.spawnPassenger(a.from, a.to ?? null, a.cards ?? null),
+  hallCall: (w, a) => {
+    const dir = a.dir === 'down' ? 'down' : 'up';
+    w.requestExternalCall(a.floor, dir, 'Scenario');
+    return w.calls.some(c => c.floor === a.floor && c.dir === dir && c.status !== 'served');
+  },
+  carCall: (w, a) => carOf(w, a.car).requestFloor(a.floor, 'Scenario'),
+  jamDoor: (w, a) => { w.handleEvent('door_jam', { car: carOf(w, a.car).id, open: a.open }); return true; },
+  powerCut: (w, a) => w.input('powerCut', { durationS: a.durationS ?? null }),
+  powerRestore: w => w.input('powerRestore'),
+  setClock: (w, a) => { w.clock.set(parseClock(a.time, w.clock.now())); return true; },
+  input: (w, a) => w.input(a.type, a.args || {}) !== false
+};
+
+// label(world, a) names it; step(world, a, tS) -> null while undecided, else { pass, detail };
+// end(world, a) decides the rest
+const ASSERTIONS = {
+  carAt: {
+    label: (w, a) => t('scenario.carAt', { car: a.car !== undefined ? ` ${a.car}` : '', floor: w.floorLabel(a.floor), by: a.by }),
+    step: (w, a, ts) => {
+      const e = carOf(w, a.car);
+      if (e.atRest() && e.metersToFloor(e.position) === a.floor) return { pass: true, detail: t('scenario.arrivedAt', { t: ts.toFixed(1) }) };
+      if (ts >= a.by) return { pass: false, detail: t('scenario.wasAt', { floor: w.floorLabel(e.metersToFloor(e.position)), t: a.by }) };
+      return null;
+    },
+    end: (w, a) => ({ pass: false, detail: t('scenario.endedBefore', { t: a.by }) })
+  },
+  maxWait: {
+    label: (w, a) => t('scenario.maxWait', { s: a.seconds }),
+    step: (w, a, ts) => {
+      const now = w.clock.now();
+      const late = w.calls.find(c => (c.status === 'served' ? c.servedTs : now) - c.ts > a.seconds * 1000);
+      return late ? { pass: false, detail: t('scenario.late', { dir: t(`dir.${late.dir}`), floor: w.floorLabel(late.floor), s: a.seconds, t: ts.toFixed(1) }) } : null;
+    },
+    end: () => ({ pass: true, detail: t('scenario.heldToEnd') })
+  },
+  never: {
+    label: (w, a) => t(a.car !== undefined ? 'scenario.neverCar' : 'scenario.never', { car: a.car, state: a.state }),
+    step: (w, a, ts) => {
+      const e = (a.car !== undefined ? [carOf(w, a.car)] : w.cars).find(c => c.state === a.state);
+      return e ? { pass: false, detail: t('scenario.entered', { car: w.carTag(e), state: a.state, t: ts.toFixed(1) }) } : null;
+    },
+    end: () => ({ pass: true, detail: t('scenario.heldToEnd') })
+  }
+};
+
+// throws on the first problem; returns the scenario with actions sorted by t
+export function validateScenario(sc, cfg) {
+  if (!isObj(sc)) throw new Error(t('scenario.notObject'));
+  const floors = sc.config?.floors ?? cfg.floors;
+  const floorOk = f => Number.isInteger(f) && f >= 0 && f < floors;
+  const actions = Array.isArray(sc.actions) ? sc.actions : [];
+  const asserts = Array.isArray(sc.assert) ? sc.assert : [];
+  // a run of NaN or endless ticks would never finish
+  for (const field of ['durationS', 'dtS']) {
+    if (sc[field] !== undefined && !(isNum(sc[field]) && sc[field] > 0)) throw new Error(t('scenario.badPositive', { field, value: JSON.stringify(sc[field]) }));
+  }
+  actions.forEach((a, i) => {
+    const bad = (key, params) => new Error(`${t('scenario.action', { n: i + 1 })}: ${t(key, params)}`);
+    if (!ACTIONS[a?.do]) throw bad('scenario.unknownType', { type: a?.do });
+    if (!isNum(a.t) || a.t < 0) throw bad('scenario.badT');
+    if (a.do === 'spawn' && (!floorOk(a.from) || (a.to !== undefined && !floorOk(a.to)))) throw bad('scenario.badFloor');
+    if (a.do === 'spawn' && a.cards !== undefined && !Array.isArray(a.cards)) throw bad('scenario.needs', { fields: 'cards: [...]' });
+    if ((a.do === 'hallCall' || a.do === 'carCall') && !floorOk(a.floor)) throw bad('scenario.badFloor');
+    if (a.do === 'setClock') parseClock(a.time);
+    if (a.do === 'input' && typeof a.type !== 'string') throw bad('scenario.needs', { fields: 'type' });
+  });
+  asserts.forEach((a, i) => {
+    const bad = (key, params) => new Error(`${t('scenario.assertion', { n: i + 1 })}: ${t(key, params)}`);
+    if (!ASSERTIONS[a?.type]) throw bad('scenario.unknownType', { type: a?.type });
+    if (a.type === 'carAt' && (!floorOk(a.floor) || !isNum(a.by))) throw bad('scenario.needs', { fields: 'floor, by' });
+    if (a.type === 'maxWait' && !isNum(a.seconds)) throw bad('scenario.needs', { fields: 'seconds' });
+    if (a.type === 'never' && !Object.values(EState).includes(a.state)) throw bad('scenario.unknownState', { state: a.state });
+  });
+  return { ...sc, actions: actions.slice().sort((a, b) => a.t - b.t), assert: asserts };
+}
+
+// log line of one verdict ({ label, pass, detail })
+export const scenarioVerdict = v => t(v.pass ? 'scenario.pass' : 'scenario.fail', { label: v.label, detail: v.detail });
+
+/* -------------------------
+   ScenarioRun: builds the scenario's world and drives it. tick() advances one step (false when
+   finished) so the browser can run it at any speed; runToEnd() does it all at once (Node / CI).
+------------------------- */
+export class ScenarioRun {
+  constructor(scenario, { cfg = resolveConfig(), sink, dtS = 1 / 60 } = {}) {
+    const sc = validateScenario(typeof scenario === 'string' ? JSON.parse(scenario) : scenario, cfg);
+    this.sc = sc;
+    this.name = sc.name || t('scenario.unnamed');
+    this.dtS = sc.dtS ?? dtS;
+    const runCfg = resolveConfig(mergeConfig(mergeConfig(cfg, SCENARIO_DEFAULTS), { ...sc.config, ...(sc.seed !== undefined ? { seed: sc.seed } : {}) }));
+    this.world = new World({ cfg: runCfg, clock: new SimClock(parseClock(sc.start ?? DEFAULT_DAY)), sink });
+    for (const a of [...sc.actions, ...sc.assert]) if (a.car !== undefined && !this.world.carById(String(a.car))) throw new Error(t('scenario.noCar', { car: a.car }));
+    const last = Math.max(0, ...sc.actions.map(a => a.t), ...sc.assert.map(a => a.by ?? 0));
+    this.durationS = sc.durationS ?? last + 10;
+    this.totalTicks = Math.round(this.durationS / this.dtS);
+    this.ticks = 0;
+    this.actionIdx = 0;
+    this.verdicts = sc.assert.map(() => null);
+    this.done = false;
+    this.result = null;
+    this.world.log(t('scenario.started', { name: this.name, actions: sc.actions.length, asserts: sc.assert.length, s: this.durationS }));
+  }
+
+  applyActions(ts) {
+    const actions = this.sc.actions;
+    while (this.actionIdx < actions.length && actions[this.actionIdx].t <= ts + 1e-9) {
+      const a = actions[this.actionIdx++];
+      if (!ACTIONS[a.do](this.world, a)) this.world.log(t('scenario.noEffect', { action: a.do, t: a.t }));
+    }
+  }
+
+  check(ts) {
+    this.sc.assert.forEach((a, i) => {
+      if (this.verdicts[i]) return;
+      const v = ASSERTIONS[a.type].step(this.world, a, ts);
+      if (v) this.decide(i, v);
+    });
+  }
+
+  decide(i, v) {
+    const a = this.sc.assert[i];
+    this.verdicts[i] = { label: ASSERTIONS[a.type].label(this.world, a), ...v };
+    this.world.log(scenarioVerdict(this.verdicts[i]));
+  }
+
+  tick() {
+    if (this.done) return false;
+    this.applyActions(this.ticks * this.dtS);
+    this.world.step(this.dtS);
+    this.ticks++;
+    this.check(this.ticks * this.dtS);
+    if (this.ticks >= this.totalTicks) { this.finish(); return false; }
+    return true;
+  }
+
+  runToEnd() {
+    while (this.tick());
+    return this.result;
+  }
+
+  finish() {
+    this.done = true;
+    this.sc.assert.forEach((a, i) => { if (!this.verdicts[i]) this.decide(i, ASSERTIONS[a.type].end(this.world, a)); });
+    const passed = this.verdicts.filter(v => v.pass).length;
+    this.result = { name: this.name, ok: passed === this.verdicts.length, passed, failed: this.verdicts.length - passed, results: this.verdicts.slice() };
+    this.world.log(t('scenario.finished', { name: this.name, passed, total: this.verdicts.length }));
+    return this.result;
+  }
+}
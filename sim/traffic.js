@@ -0,0 +1,110 @@
+// sim/traffic.js
+// Passenger traffic generator driven by the world clock.
+// cfg.traffic.periods picks the pattern by time of day (first match wins, "from" > "to" wraps past
+// midnight); each floor then gets a Poisson arrival stream with exponential gaps drawn from world.rng:
+//   lobby:        perMin * incoming                          (everyone heads upstairs)
+//   other floors: perMin * (outgoing + interfloor) / count    (to the lobby or to another floor)
+// Arrival times are absolute, so large steps (fast-forward) still spawn the right number of people.
+
+import { t } from './i18n.js';
+
+export const TRAFFIC_PATTERNS = {
+  upPeak:     { incoming: 0.85, outgoing: 0.05, interfloor: 0.10 },
+  downPeak:   { incoming: 0.05, outgoing: 0.85, interfloor: 0.10 },
+  lunch:      { incoming: 0.40, outgoing: 0.40, interfloor: 0.20 },
+  interfloor: { incoming: 0.10, outgoing: 0.10, interfloor: 0.80 }
+};
+
+// minutes since local midnight of a clock timestamp
+export const minuteOfDay = ms => { const d = new Date(ms); return d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60; };
+const parseHHMM = s => { const [h, m] = String(s).split(':').map(Number); return (h || 0) * 60 + (m || 0); };
+// minute of day m falls in a { from, to } window (missing bounds = midnight)
+export const inPeriod = (p, m) => {
+  const from = parseHHMM(p.from ?? '00:00'), to = parseHHMM(p.to ?? '24:00');
+  return from <= to ? m >= from && m < to : m >= from || m < to;
+};
+
+export class TrafficGenerator {
+  constructor(cfg) {
+    this.cfg = cfg.traffic || {};
+    this.floors = cfg.floors;
+    // name of the active period (null = none matches) and the next arrival timestamp per floor
+    this.period = undefined;
+    this.nextTs = [];
+    // per-floor rates of the active period (rebuilt on demand, not saved)
+    this.rateCache = null;
+  }
+
+  periodAt(ms) {
+    const m = minuteOfDay(ms);
+    return (this.cfg.periods || []).find(p => inPeriod(p, m)) || null;
+  }
+
+  pattern(period) {
+    const name = period?.pattern;
+    return (this.cfg.patterns && this.cfg.patterns[name]) || TRAFFIC_PATTERNS[name] || null;
+  }
+
+  // arrivals per ms at each floor for a period; floors no car serves get none
+  rates(world, period) {
+    const mix = this.pattern(period);
+    const lobby = this.cfg.lobbyFloor ?? 0;
+    const perMs = (period?.perMin || 0) / 60_000;
+    const upper = [];
+    for (let f = 0; f < this.floors; f++) if (f !== lobby && world.servedByAny(f)) upper.push(f);
+    return Array.from({ length: this.floors }, (_, f) => {
+      if (!mix || !world.servedByAny(f)) return 0;
+      if (f === lobby) return perMs * mix.incoming;
+      return upper.length ? (perMs * (mix.outgoing + mix.interfloor)) / upper.length : 0;
+    });
+  }
+
+  gap(world, rate) { return rate > 0 ? -Math.log(1 - world.rng.next()) / rate : null; }
+
+  step(world) {
+    const now = world.clock.now();
+    const period = this.periodAt(now);
+    const name = period ? period.name ?? period.pattern : null;
+    if (name !== this.period) {
+      // rates changed: redraw every floor's next arrival (exponential gaps are memoryless)
+      this.period = name;
+      this.rateCache = this.rates(world, period);
+      this.nextTs = this.rateCache.map(r => { const g = this.gap(world, r); return g === null ? null : now + g; });
+      world.log(period ? t('traffic.period', { name, perMin: period.perMin }) : t('traffic.period', { name: t('traffic.quiet'), perMin: 0 }));
+    }
+    if (!period) return;
+    const rates = this.rateCache || (this.rateCache = this.rates(world, period));
+    const mix = this.pattern(period);
+    const lobby = this.cfg.lobbyFloor ?? 0;
+    for (let f = 0; f < this.nextTs.length; f++) {
+      while (this.nextTs[f] !== null && now >= this.nextTs[f]) {
+        this.spawn(world, f, lobby, mix);
+        const g = this.gap(world, rates[f]);
+        this.nextTs[f] = g === null ? null : this.nextTs[f] + g;
+      }
+    }
+  }
+
+  // lobby arrivals go up; others go down to the lobby or across to another floor by the mix, among
+  // the floors their access cards open (sim/access.js)
+  spawn(world, origin, lobby, mix) {
+    const cards = world.access.drawCards(world.rng);
+    const reach = world.reachableFrom(origin, cards);
+    if (origin === lobby) return reach.length ? world.spawnPassenger(origin, reach[world.rng.int(reach.length)], cards) : null;
+    const toLobby = reach.includes(lobby) && world.rng.chance(mix.outgoing / (mix.outgoing + mix.interfloor || 1));
+    if (toLobby) return world.spawnPassenger(origin, lobby, cards);
+    const across = reach.filter(f => f !== lobby);
+    return across.length ? world.spawnPassenger(origin, across[world.rng.int(across.length)], cards) : null;
+  }
+
+  serialize() { return { period: this.period ?? null, nextTs: this.nextTs.slice() }; }
+
+  static deserialize(obj, cfg) {
+    const t = new TrafficGenerator(cfg);
+    if (obj && Array.isArray(obj.nextTs) && obj.nextTs.length === cfg.floors) {
+      t.period = obj.period;
+      t.nextTs = obj.nextTs.slice();
+    }
+    return t;
+  }
+}